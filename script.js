@@ -1,17 +1,387 @@
+// Schema migrations for stored projects. Entry N upgrades data from version N to N + 1,
+// so append new migrations to the end and never reorder existing ones.
+const MIGRATIONS = [
+    // v0 -> v1: boards saved as a bare array before the versioned envelope existed
+    (projects) => projects.map(p => ({
+        ...p,
+        tasks: (p.tasks || []).map(t => ({ ...t, projectId: p.id }))
+    })),
+    // v1 -> v2: project member lists; existing projects start without members
+    (projects) => projects.map(p => ({ ...p, members: p.members || [] })),
+    // v2 -> v3: task dependencies; existing tasks depend on nothing
+    (projects) => projects.map(p => ({
+        ...p,
+        tasks: p.tasks.map(t => ({ ...t, dependsOn: t.dependsOn || [] }))
+    })),
+    // v3 -> v4: task start dates for the timeline; existing tasks have none
+    (projects) => projects.map(p => ({
+        ...p,
+        tasks: p.tasks.map(t => ({ ...t, startDate: t.startDate || '' }))
+    })),
+    // v4 -> v5: checklists inside tasks; existing tasks have no items
+    (projects) => projects.map(p => ({
+        ...p,
+        tasks: p.tasks.map(t => ({ ...t, checklist: t.checklist || [] }))
+    })),
+    // v5 -> v6: per-project workflow columns; existing projects get the old fixed board
+    (projects) => projects.map(p => ({ ...p, workflow: p.workflow || DEFAULT_WORKFLOW.map(c => ({ ...c })) })),
+    // v6 -> v7: manual card order on the board; existing tasks keep their creation order
+    (projects) => projects.map(p => ({
+        ...p,
+        tasks: p.tasks.map(t => ({ ...t, rank: t.rank !== undefined ? t.rank : new Date(t.createdAt).getTime() || 0 }))
+    })),
+    // v7 -> v8: repeating tasks; existing tasks don't repeat
+    (projects) => projects.map(p => ({
+        ...p,
+        tasks: p.tasks.map(t => ({ ...t, recurrence: t.recurrence || null }))
+    })),
+    // v8 -> v9: effort estimates and logged time; existing tasks have neither
+    (projects) => projects.map(p => ({
+        ...p,
+        tasks: p.tasks.map(t => ({ ...t, estimate: t.estimate || 0, timeEntries: t.timeEntries || [] }))
+    })),
+    // v9 -> v10: project activity feeds and task comments, both starting out empty
+    (projects) => projects.map(p => ({
+        ...p,
+        activity: p.activity || [],
+        tasks: p.tasks.map(t => ({ ...t, comments: t.comments || [] }))
+    })),
+    // v10 -> v11: soft deletion; nothing is in the trash yet
+    (projects) => projects.map(p => ({
+        ...p,
+        deletedAt: p.deletedAt || null,
+        tasks: p.tasks.map(t => ({ ...t, deletedAt: t.deletedAt || null }))
+    }))
+];
+
+const SCHEMA_VERSION = MIGRATIONS.length;
+
+// Keys written before storage was partitioned per user. The first account to log in
+// afterwards adopts them.
+const LEGACY_KEYS = ['projects', 'theme', 'serverUrl', 'syncQueue', 'lastSyncAt'];
+
 // Storage Manager Class
+// Everything is namespaced by the logged-in user's ID ("user:<id>:<key>"), so accounts
+// on a shared machine keep private workspaces. Projects shared with other accounts live
+// in a common "shared" scope. Accounts and sessions use the global, unscoped keys.
 class StorageManager {
-    static save(key, data) {
+    static key(key, scope = this.scope) {
+        return scope ? `${scope}:${key}` : key;
+    }
+
+    static save(key, data, scope) {
+        localStorage.setItem(this.key(key, scope), JSON.stringify(data));
+    }
+
+    static load(key, scope) {
+        const data = localStorage.getItem(this.key(key, scope));
+        return data ? JSON.parse(data) : null;
+    }
+
+    static remove(key, scope) {
+        localStorage.removeItem(this.key(key, scope));
+    }
+
+    static saveGlobal(key, data) {
         localStorage.setItem(key, JSON.stringify(data));
     }
 
-    static load(key) {
+    static loadGlobal(key) {
         const data = localStorage.getItem(key);
         return data ? JSON.parse(data) : null;
     }
 
-    static remove(key) {
+    static removeGlobal(key) {
         localStorage.removeItem(key);
     }
+
+    static setUser(userId) {
+        this.userId = userId;
+        this.scope = userId ? `user:${userId}` : null;
+        this.adapter = null;
+        this.sharedAdapter = null;
+        this.hiddenShared = [];
+    }
+
+    static async init() {
+        this.adoptLegacyKeys();
+        this.adapter = await this.openAdapter(this.scope);
+        this.sharedAdapter = await this.openAdapter('shared');
+        await this.importFromLocalStorage(this.adapter, this.scope);
+        await this.importFromLocalStorage(this.sharedAdapter, 'shared');
+        await this.adoptLegacyDatabase();
+    }
+
+    static async openAdapter(scope) {
+        const adapter = window.indexedDB ? new IndexedDBAdapter(`projecthub-${scope}`) : new LocalStorageAdapter(scope);
+        try {
+            await adapter.init();
+            return adapter;
+        } catch (error) {
+            // IndexedDB can be unavailable (e.g. some private browsing modes)
+            const fallback = new LocalStorageAdapter(scope);
+            await fallback.init();
+            return fallback;
+        }
+    }
+
+    static adoptLegacyKeys() {
+        if (this.loadGlobal('legacyDataOwner')) return;
+        this.saveGlobal('legacyDataOwner', this.userId);
+
+        LEGACY_KEYS.forEach(key => {
+            const raw = localStorage.getItem(key);
+            if (raw === null) return;
+            // The theme used to be stored as a bare string rather than JSON
+            localStorage.setItem(this.key(key), key === 'theme' ? JSON.stringify(raw) : raw);
+            localStorage.removeItem(key);
+        });
+    }
+
+    // The IndexedDB backend used a single unscoped database before per-user storage
+    static async adoptLegacyDatabase() {
+        if (!(this.adapter instanceof IndexedDBAdapter) || this.loadGlobal('legacyDataOwner') !== this.userId) return;
+
+        const legacy = new IndexedDBAdapter('projecthub');
+        await legacy.init();
+        const stored = await legacy.readProjects();
+        if (stored && !(await this.adapter.readProjects())) {
+            await this.adapter.writeProjects(stored);
+        }
+        await legacy.clearProjects();
+    }
+
+    // Moves a board saved by the localStorage adapter into the active adapter, once.
+    static async importFromLocalStorage(adapter, scope) {
+        if (adapter instanceof LocalStorageAdapter) return;
+
+        const legacy = this.load('projects', scope);
+        if (!legacy) return;
+
+        const existing = await adapter.readProjects();
+        if (!existing) {
+            const envelope = Array.isArray(legacy) ? { version: 0, projects: legacy } : legacy;
+            await adapter.writeProjects(envelope);
+        }
+        this.remove('projects', scope);
+    }
+
+    // A project is shared once it has a member other than the current user
+    static isShared(project) {
+        return project.members.some(m => m.userId !== this.userId);
+    }
+
+    // Projects from before roles existed have no members and are open to everyone
+    static isMember(project) {
+        const members = project.members || [];
+        return members.length === 0 || members.some(m => m.userId === this.userId);
+    }
+
+    // Own and shared projects are kept in separate databases and written in two transactions.
+    // A change spanning both, such as moving a task from a private project to a shared one,
+    // is therefore not atomic: if one write fails, or the page closes between the two, a reload
+    // can show the task in both projects or in neither.
+    static saveProjects(projects) {
+        const own = projects.filter(p => !this.isShared(p));
+        const shared = [...projects.filter(p => this.isShared(p)), ...this.hiddenShared];
+        return Promise.all([
+            this.adapter.writeProjects({ version: SCHEMA_VERSION, projects: own }),
+            this.sharedAdapter.writeProjects({ version: SCHEMA_VERSION, projects: shared })
+        ]).catch(() => showToast('Could not save changes', 'error'));
+    }
+
+    static clearProjects() {
+        return this.adapter.clearProjects();
+    }
+
+    // Everything kept for an account: its scoped keys and its own project database
+    static removeUserData(userId) {
+        const prefix = this.key('', `user:${userId}`);
+        Object.keys(localStorage).filter(key => key.startsWith(prefix)).forEach(key => localStorage.removeItem(key));
+        if (window.indexedDB) indexedDB.deleteDatabase(`projecthub-user:${userId}`);
+    }
+
+    // The user's own projects plus shared projects they are a member of
+    static async loadProjects() {
+        const own = this.unwrap(await this.adapter.readProjects());
+        const shared = this.unwrap(await this.sharedAdapter.readProjects());
+
+        this.hiddenShared = shared.filter(p => !this.isMember(p));
+        return [...own, ...shared.filter(p => this.isMember(p))];
+    }
+
+    static unwrap(stored) {
+        if (!stored) return [];
+        const { version, projects } = Array.isArray(stored) ? { version: 0, projects: stored } : stored;
+        return this.migrate(projects, version).map(p => Project.fromJSON(p));
+    }
+
+    static migrate(projects, fromVersion = 0) {
+        if (fromVersion > SCHEMA_VERSION) {
+            throw new SchemaError(`This data was saved by a newer version of the app (schema ${fromVersion})`);
+        }
+        return MIGRATIONS.slice(fromVersion).reduce((data, migration) => migration(data), projects);
+    }
+}
+
+class SchemaError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SchemaError';
+    }
+}
+
+// Storage adapters persist the versioned project envelope ({ version, projects }).
+// Every adapter implements init(), readProjects(), writeProjects(envelope) and
+// clearProjects(), each returning a promise.
+class LocalStorageAdapter {
+    constructor(scope) {
+        this.scope = scope;
+    }
+
+    async init() {}
+
+    async readProjects() {
+        return StorageManager.load('projects', this.scope);
+    }
+
+    async writeProjects(envelope) {
+        StorageManager.save('projects', envelope, this.scope);
+    }
+
+    async clearProjects() {
+        StorageManager.remove('projects', this.scope);
+    }
+}
+
+// Stores projects and tasks as separate records so a save only writes what changed.
+class IndexedDBAdapter {
+    constructor(dbName = 'projecthub') {
+        this.dbName = dbName;
+        this.db = null;
+        this.written = new Map();
+    }
+
+    init() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                db.createObjectStore('meta');
+                db.createObjectStore('projects', { keyPath: 'id' });
+                db.createObjectStore('tasks', { keyPath: 'id' }).createIndex('projectId', 'projectId');
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async readProjects() {
+        const tx = this.db.transaction(['meta', 'projects', 'tasks'], 'readonly');
+        const [version, projects, tasks] = await Promise.all([
+            IndexedDBAdapter.request(tx.objectStore('meta').get('version')),
+            IndexedDBAdapter.request(tx.objectStore('projects').getAll()),
+            IndexedDBAdapter.request(tx.objectStore('tasks').getAll())
+        ]);
+        if (version === undefined) return null;
+
+        this.written.clear();
+        projects.forEach(p => this.written.set(`project:${p.id}`, JSON.stringify(p)));
+        tasks.forEach(t => this.written.set(`task:${t.id}`, JSON.stringify(t)));
+
+        projects.sort((a, b) => a.position - b.position);
+        tasks.sort((a, b) => a.position - b.position);
+        return {
+            version,
+            projects: projects.map(({ position, ...project }) => ({
+                ...project,
+                tasks: tasks
+                    .filter(t => t.projectId === project.id)
+                    .map(({ position, ...task }) => task)
+            }))
+        };
+    }
+
+    writeProjects({ version, projects }) {
+        const records = new Map();
+        projects.forEach((project, index) => {
+            const { tasks, ...data } = project;
+            records.set(`project:${project.id}`, { ...data, position: index });
+            (tasks || []).forEach((task, position) => {
+                records.set(`task:${task.id}`, { ...task, projectId: project.id, position });
+            });
+        });
+
+        // Diff against what was last written synchronously, so overlapping saves stay ordered.
+        // `changed` remembers the previous values (undefined when deleted) for rolling back.
+        const changed = new Map();
+        const tx = this.db.transaction(['meta', 'projects', 'tasks'], 'readwrite');
+        tx.objectStore('meta').put(version, 'version');
+        records.forEach((record, key) => {
+            const json = JSON.stringify(record);
+            if (this.written.get(key) === json) return;
+            changed.set(key, { previous: this.written.get(key), json });
+            this.written.set(key, json);
+            tx.objectStore(key.startsWith('project:') ? 'projects' : 'tasks').put(JSON.parse(json));
+        });
+        [...this.written.keys()].filter(key => !records.has(key)).forEach(key => {
+            changed.set(key, { previous: this.written.get(key), json: undefined });
+            this.written.delete(key);
+            const [store, id] = key.split(/:(.*)/);
+            tx.objectStore(`${store}s`).delete(id);
+        });
+
+        // An aborted transaction wrote nothing, so its records are rewritten by the next save,
+        // unless a later save has already replaced them
+        return IndexedDBAdapter.complete(tx).catch(error => {
+            changed.forEach(({ previous, json }, key) => {
+                if (this.written.get(key) !== json) return;
+                if (previous === undefined) this.written.delete(key);
+                else this.written.set(key, previous);
+            });
+            throw error;
+        });
+    }
+
+    clearProjects() {
+        this.written.clear();
+        const tx = this.db.transaction(['meta', 'projects', 'tasks'], 'readwrite');
+        ['meta', 'projects', 'tasks'].forEach(store => tx.objectStore(store).clear());
+        return IndexedDBAdapter.complete(tx);
+    }
+
+    static request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    static complete(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+}
+
+// Board columns every project starts with. Tasks store the name of their column as
+// `status`, and tasks in a column flagged `done` count as completed.
+const DEFAULT_WORKFLOW = [
+    { id: 'todo', name: 'To Do', wipLimit: 0, done: false },
+    { id: 'in-progress', name: 'In Progress', wipLimit: 0, done: false },
+    { id: 'done', name: 'Done', wipLimit: 0, done: true }
+];
+
+class WorkflowError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'WorkflowError';
+    }
 }
 
 // Project Class
@@ -25,320 +395,3067 @@ class Project {
         this.deadline = deadline;
         this.createdAt = createdAt;
         this.tasks = [];
+        this.members = [];
+        this.workflow = DEFAULT_WORKFLOW.map(column => ({ ...column }));
+        // Who changed what, oldest first (see ProjectManager.logActivity)
+        this.activity = [];
+        // When the project was moved to the trash, or null
+        this.deletedAt = null;
+    }
+
+    // Only createdAt is a Date. The deadline stays a 'YYYY-MM-DD' string, as entered in the
+    // date inputs, so it is compared and displayed as a calendar day without time zones.
+    static fromJSON(data) {
+        const project = Object.assign(new Project(), data);
+        project.createdAt = data.createdAt ? new Date(data.createdAt) : new Date();
+        project.tasks = (data.tasks || []).map(t => Task.fromJSON(t, project));
+        project.members = data.members || [];
+        project.activity = data.activity || [];
+        return project;
+    }
+
+    getColumn(status) {
+        return this.workflow.find(c => c.name === status);
+    }
+
+    getColumnIndex(status) {
+        return this.workflow.findIndex(c => c.name === status);
+    }
+
+    isDoneStatus(status) {
+        const column = this.getColumn(status);
+        return Boolean(column && column.done);
+    }
+
+    getStartStatus() {
+        return this.workflow[0].name;
     }
 
+    getDoneStatus() {
+        const column = this.workflow.find(c => c.done) || this.workflow[this.workflow.length - 1];
+        return column.name;
+    }
+
+    // Tasks that aren't in the trash
+    getTasks() {
+        return this.tasks.filter(t => !t.deletedAt);
+    }
+
+    updateCompletion() {
+        this.tasks.forEach(t => {
+            t.completed = this.isDoneStatus(t.status);
+        });
+    }
+
+    // Tasks count by how much of their checklist is done, not just whether they are finished
     getProgress() {
-        if (this.tasks.length === 0) return 0;
-        const completed = this.tasks.filter(t => t.status === 'Done').length;
-        return Math.round((completed / this.tasks.length) * 100);
+        const tasks = this.getTasks();
+        if (tasks.length === 0) return 0;
+        const completed = tasks.reduce((sum, t) => sum + t.getCompletion(), 0);
+        return Math.round((completed / tasks.length) * 100);
     }
 }
 
 // Task Class
 class Task {
-    constructor(id, projectId, name, description, status, priority, dueDate, assignee) {
+    constructor(id, projectId, name, description, status, priority, dueDate, assignee, dependsOn = [], startDate = '', checklist = [], recurrence = null, estimate = 0, timeEntries = []) {
         this.id = id;
         this.projectId = projectId;
         this.name = name;
         this.description = description;
         this.status = status;
         this.priority = priority;
+        this.startDate = startDate;
         this.dueDate = dueDate;
         this.assignee = assignee;
-        this.completed = status === 'Done';
+        // IDs of tasks in the same project that must be done before this one can start
+        this.dependsOn = dependsOn;
+        // Subtasks as { id, text, done } items
+        this.checklist = checklist;
+        // Repeat rule (see Recurrence), or null for a one-off task
+        this.recurrence = recurrence;
+        // Estimated effort in hours (0 when not estimated) and logged work as
+        // { id, date, minutes, note } entries
+        this.estimate = estimate;
+        this.timeEntries = timeEntries;
+        // { id, userId, userName, text, mentions, parentId, createdAt }; replies point at a top-level comment
+        this.comments = [];
+        // When the task was moved to the trash, or null
+        this.deletedAt = null;
+        // Whether the task is in a done column, which only its project's workflow can tell;
+        // set when the task is added to a project (see Project.isDoneStatus)
+        this.completed = false;
         this.createdAt = new Date();
+        // Position within a board column; new tasks go to the bottom
+        this.rank = this.createdAt.getTime();
+    }
+
+    // As with projects, startDate and dueDate stay 'YYYY-MM-DD' strings (see parseDay)
+    static fromJSON(data, project) {
+        const task = Object.assign(new Task(), data);
+        task.createdAt = data.createdAt ? new Date(data.createdAt) : new Date();
+        task.completed = project.isDoneStatus(task.status);
+        return task;
     }
 
     isOverdue() {
         if (!this.dueDate || this.completed) return false;
         return new Date(this.dueDate) < new Date();
     }
+
+    getChecklistDone() {
+        return this.checklist.filter(item => item.done).length;
+    }
+
+    getLoggedMinutes() {
+        return this.timeEntries.reduce((sum, entry) => sum + entry.minutes, 0);
+    }
+
+    // Share of the task that is finished, from 0 to 1
+    getCompletion() {
+        if (this.completed) return 1;
+        if (this.checklist.length === 0) return 0;
+        return this.getChecklistDone() / this.checklist.length;
+    }
 }
 
+// Fields that identify or are derived from a record, never merged field by field
+const MERGE_IGNORED_FIELDS = ['id', 'projectId', 'tasks', 'fieldTimes', 'revision', 'createdAt', 'completed', 'projectName'];
+// Append-only lists; copies are combined entry by entry instead of one replacing the other
+const MERGE_UNION_FIELDS = ['activity', 'comments'];
+
+// Recurrence Class
+// Repeat rules for tasks: { frequency, interval, until, count, occurrence, monthDay }.
+// The task repeats every `interval` days, weeks or months, optionally until a date or for
+// `count` occurrences in total; `occurrence` numbers the task carrying the rule. Only the
+// current occurrence exists as a task. Completing it creates the next one, and later
+// ones are computed when needed.
+const RECURRENCE_UNITS = { daily: 'day', weekly: 'week', monthly: 'month' };
+
+class Recurrence {
+    // The due date one step after `date`
+    static nextDate(rule, date) {
+        const day = parseDay(date);
+        if (rule.frequency === 'daily') return formatDay(addDays(day, rule.interval));
+        if (rule.frequency === 'weekly') return formatDay(addDays(day, rule.interval * 7));
+        // Monthly dates keep to the rule's day of the month, or the last day of shorter months
+        const month = new Date(day.getFullYear(), day.getMonth() + rule.interval, 1);
+        const lastDay = new Date(month.getFullYear(), month.getMonth() + 1, 0).getDate();
+        return formatDay(new Date(month.getFullYear(), month.getMonth(), Math.min(rule.monthDay, lastDay)));
+    }
+
+    // Whether occurrence number `n`, due on `date`, is still part of the series
+    static includes(rule, n, date) {
+        return (!rule.count || n <= rule.count) && (!rule.until || date <= rule.until);
+    }
+
+    // Due dates of the occurrences after `task`, up to and including `to`
+    static upcoming(task, to) {
+        const rule = task.recurrence;
+        const dates = [];
+        let date = task.dueDate;
+        for (let n = rule.occurrence + 1; dates.length < 1000; n++) {
+            date = this.nextDate(rule, date);
+            if (date > to || !this.includes(rule, n, date)) break;
+            dates.push(date);
+        }
+        return dates;
+    }
+
+    static describe(rule) {
+        const unit = RECURRENCE_UNITS[rule.frequency];
+        let text = rule.interval === 1 ? `Every ${unit}` : `Every ${rule.interval} ${unit}s`;
+        if (rule.count) text += `, ${rule.count} times`;
+        if (rule.until) text += `, until ${parseDay(rule.until).toLocaleDateString()}`;
+        return text;
+    }
+}
+
+// Conflict Resolver Class
+// Projects and tasks stamp every field with the time it last changed (fieldTimes) and
+// bump a revision counter. Two copies of a board are merged field by field against a
+// `base` time at which both copies last agreed: a field changed on one side only takes
+// that side's value, a field changed on both sides to different values is a conflict.
+class ConflictResolver {
+    static stamp(record, data, time = Date.now()) {
+        record.fieldTimes = { ...record.fieldTimes };
+        Object.keys(data).forEach(field => {
+            if (MERGE_IGNORED_FIELDS.includes(field)) return;
+            if (JSON.stringify(record[field]) !== JSON.stringify(data[field])) {
+                record.fieldTimes[field] = time;
+            }
+        });
+        Object.assign(record, data);
+        record.revision = (record.revision || 0) + 1;
+    }
+
+    // Fields never edited since creation have no stamp and lose to any edit
+    static fieldTime(record, field) {
+        return (record.fieldTimes && record.fieldTimes[field]) || 0;
+    }
+
+    // Whether two boards hold the same data. Records never stamped may lack the empty
+    // fieldTimes and zero revision that a merge gives them, which doesn't count as a change.
+    static sameProjects(a, b) {
+        const normalize = (key, value) =>
+            (key === 'fieldTimes' && Object.keys(value).length === 0) || (key === 'revision' && !value) ? undefined : value;
+        return JSON.stringify(a, normalize) === JSON.stringify(b, normalize);
+    }
+
+    static modifiedAt(record) {
+        return Math.max(new Date(record.createdAt).getTime() || 0, ...Object.values(record.fieldTimes || {}));
+    }
+
+    static mergeRecord(local, remote, base) {
+        const merged = { ...local, fieldTimes: { ...local.fieldTimes } };
+        const conflicts = [];
+        const fields = new Set([...Object.keys(local), ...Object.keys(remote)]);
+
+        fields.forEach(field => {
+            if (MERGE_IGNORED_FIELDS.includes(field)) return;
+            if (JSON.stringify(local[field]) === JSON.stringify(remote[field])) return;
+
+            const localTime = this.fieldTime(local, field);
+            const remoteTime = this.fieldTime(remote, field);
+            if (MERGE_UNION_FIELDS.includes(field)) {
+                merged[field] = this.unionById(local[field] || [], remote[field] || []);
+                // The feed stays trimmed however many copies it was combined from
+                if (field === 'activity') merged[field] = merged[field].slice(-ACTIVITY_LIMIT);
+                merged.fieldTimes[field] = Math.max(localTime, remoteTime);
+            } else if (localTime > base && remoteTime > base) {
+                conflicts.push({ field, local: local[field], remote: remote[field] });
+            } else if (remoteTime > localTime) {
+                merged[field] = remote[field];
+                merged.fieldTimes[field] = remoteTime;
+            }
+        });
+
+        merged.revision = Math.max(local.revision || 0, remote.revision || 0);
+        return { merged, conflicts };
+    }
+
+    static unionById(local, remote) {
+        const byId = new Map([...local, ...remote].map(item => [item.id, item]));
+        return [...byId.values()].sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    // Records present on one side only are kept when they changed after `base`, otherwise
+    // they are treated as deleted on the other side. `union` keeps them unconditionally.
+    static mergeCollection(local, remote, { base, union }, mergeItem) {
+        const remoteById = new Map(remote.map(item => [item.id, item]));
+        const keep = (item) => union || this.modifiedAt(item) > base;
+        const items = [];
+        const conflicts = [];
+
+        local.forEach(item => {
+            const other = remoteById.get(item.id);
+            remoteById.delete(item.id);
+            if (other) {
+                const result = mergeItem(item, other);
+                items.push(result.merged);
+                conflicts.push(...result.conflicts);
+            } else if (keep(item)) {
+                items.push(item);
+            }
+        });
+        remoteById.forEach(item => {
+            if (keep(item)) items.push(item);
+        });
+
+        return { items, conflicts };
+    }
+
+    static mergeProjects(local, remote, { base = 0, union = false } = {}) {
+        const options = { base, union };
+        const { items, conflicts } = this.mergeCollection(local, remote, options, (localProject, remoteProject) => {
+            const project = this.mergeRecord(localProject, remoteProject, base);
+            const tasks = this.mergeCollection(localProject.tasks, remoteProject.tasks || [], options, (localTask, remoteTask) => {
+                const task = this.mergeRecord(localTask, remoteTask, base);
+                return {
+                    merged: task.merged,
+                    conflicts: task.conflicts.map(c => ({ ...c, projectId: localProject.id, taskId: localTask.id, name: localTask.name }))
+                };
+            });
+            project.merged.tasks = tasks.items;
+            return {
+                merged: project.merged,
+                conflicts: [
+                    ...project.conflicts.map(c => ({ ...c, projectId: localProject.id, name: localProject.name })),
+                    ...tasks.conflicts
+                ]
+            };
+        });
+
+        return { projects: items.map(p => Project.fromJSON(p)), conflicts };
+    }
+}
+
+// Project roles, from least to most privileged, and what each one allows.
+// Admins act as owners everywhere. Projects created before roles existed have no
+// members and are editable by everyone.
+const PROJECT_ROLES = ['viewer', 'editor', 'owner'];
+const ROLE_PERMISSIONS = {
+    viewer: [],
+    editor: ['edit'],
+    owner: ['edit', 'delete', 'manage']
+};
+
+class PermissionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PermissionError';
+    }
+}
+
+// Activity feeds keep the newest entries only. Changes to the listed fields are logged
+// under these names; other fields (such as board order) are logged separately or not at all.
+const ACTIVITY_LIMIT = 200;
+const ACTIVITY_FIELDS = {
+    name: 'name',
+    description: 'description',
+    status: 'status',
+    priority: 'priority',
+    deadline: 'deadline',
+    startDate: 'start date',
+    dueDate: 'due date',
+    assignee: 'assignee',
+    dependsOn: 'dependencies',
+    checklist: 'checklist',
+    recurrence: 'repeat',
+    estimate: 'estimate',
+    timeEntries: 'logged time'
+};
+
+// The project fields editors may change. Members and trashing need more than 'edit', so
+// they have their own methods.
+const PROJECT_EDITABLE_FIELDS = ['name', 'description', 'status', 'priority', 'deadline'];
+
 // Project Manager Class
 class ProjectManager {
-    constructor() {
-        this.projects = this.loadProjects();
+    constructor(authManager) {
+        this.authManager = authManager;
+        this.projects = [];
+        this.listeners = [];
+        this.reloadListeners = [];
+        this.listening = false;
+        this.changedProjectIds = new Set();
+        this.pendingSaves = 0;
+        this.batching = false;
+        this.channel = window.BroadcastChannel ? new BroadcastChannel('projecthub') : null;
+        this.loadedAt = 0;
+    }
+
+    // Listeners receive { entity, action, projectId, taskId } after each local mutation
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    emitChange(change) {
+        this.changedProjectIds.add(change.entity === 'board' ? '*' : change.projectId);
+        this.listeners.forEach(listener => listener(change));
+    }
+
+    // Listeners receive { projectIds, conflicts } after edits from another tab are merged in
+    onReload(listener) {
+        this.reloadListeners.push(listener);
+    }
+
+    // Other tabs announce saves over a BroadcastChannel; browsers without one still get
+    // storage events for the localStorage adapter
+    listenForOtherTabs() {
+        this.listening = true;
+        if (this.channel) {
+            this.channel.onmessage = (e) => this.reloadProjects(e.data.projectIds);
+        } else {
+            window.addEventListener('storage', (e) => {
+                if (e.key === StorageManager.key('projects') || e.key === StorageManager.key('projects', 'shared')) {
+                    this.reloadProjects();
+                }
+            });
+        }
+    }
+
+    async init() {
+        await StorageManager.init();
+        this.projects = await this.loadProjects();
+        this.loadedAt = Date.now();
+        if (!this.listening) this.listenForOtherTabs();
+    }
+
+    // Drops the logged-out user's board from memory
+    unload() {
+        this.projects = [];
+        this.changedProjectIds.clear();
     }
 
     loadProjects() {
-        const data = StorageManager.load('projects');
-        return data ? data.map(p => Object.assign(new Project(), p)) : [];
+        return StorageManager.loadProjects();
+    }
+
+    // Merges what is in storage (e.g. written by another tab) into memory.
+    // `projectIds` names the projects that changed, or is null when unknown.
+    async reloadProjects(projectIds = null) {
+        if (!StorageManager.adapter) return [];
+        let stored;
+        try {
+            stored = await this.loadProjects();
+        } catch (error) {
+            if (!(error instanceof SchemaError)) throw error;
+            // A newer version wrote the store; keep working on what is in memory
+            showToast(error.message, 'error');
+            return [];
+        }
+        const { projects, conflicts } = ConflictResolver.mergeProjects(this.projects, stored, { base: this.loadedAt });
+        // Nothing new (e.g. the announcement of this tab's own save): no write, so no echo
+        const changed = !ConflictResolver.sameProjects(projects, this.projects);
+        if (!changed && conflicts.length === 0) return [];
+        this.projects = projects;
+        if (changed) this.saveProjects();
+        this.reloadListeners.forEach(listener => listener({ projectIds, conflicts }));
+        return conflicts;
+    }
+
+    // Runs `action` with saving held back, so a batch of edits is written once
+    batch(action) {
+        if (this.batching) return action();
+        this.batching = true;
+        try {
+            return action();
+        } finally {
+            this.batching = false;
+            this.saveProjects();
+        }
     }
 
     saveProjects() {
-        StorageManager.save('projects', this.projects);
+        if (this.batching) return Promise.resolve();
+        this.loadedAt = Date.now();
+        this.pendingSaves++;
+        return StorageManager.saveProjects(this.projects).then(() => {
+            this.pendingSaves--;
+            if (this.pendingSaves === 0) this.announceSave();
+        });
+    }
+
+    // Runs once writes have settled, by which point the mutation has emitted its change
+    announceSave() {
+        const changed = [...this.changedProjectIds];
+        this.changedProjectIds.clear();
+        if (this.channel && changed.length > 0) {
+            this.channel.postMessage({ projectIds: changed.includes('*') ? null : changed });
+        }
+    }
+
+    getRole(project) {
+        const user = this.authManager.currentUser;
+        if (!user) return null;
+        if (user.role === 'admin') return 'owner';
+        if (project.members.length === 0) return 'editor';
+
+        const member = project.members.find(m => m.userId === user.id);
+        return member ? member.role : 'viewer';
+    }
+
+    can(project, permission) {
+        const role = project && this.getRole(project);
+        return Boolean(role && ROLE_PERMISSIONS[role].includes(permission));
+    }
+
+    assertCan(project, permission) {
+        if (!this.can(project, permission)) {
+            const needed = permission === 'edit' ? 'an editor' : 'an owner';
+            throw new PermissionError(`You must be ${needed} of this project to do that`);
+        }
     }
 
     createProject(name, description, status, priority, deadline) {
-        const id = Date.now().toString();
+        const user = this.authManager.currentUser;
+        if (!user) throw new PermissionError('Log in to create projects');
+
+        const id = generateId();
         const project = new Project(id, name, description, status, priority, deadline);
+        project.members = [{ userId: user.id, role: 'owner' }];
+        this.logActivity(project, { action: 'created' });
         this.projects.push(project);
         this.saveProjects();
+        this.emitChange({ entity: 'project', action: 'create', projectId: id });
         return project;
     }
 
     updateProject(id, data) {
         const project = this.projects.find(p => p.id === id);
         if (project) {
-            Object.assign(project, data);
+            this.assertCan(project, 'edit');
+            const unknown = Object.keys(data).find(field => !PROJECT_EDITABLE_FIELDS.includes(field));
+            if (unknown) throw new Error(`Project field cannot be edited here: ${unknown}`);
+            const changed = this.changedFields(project, data);
+            ConflictResolver.stamp(project, data);
+            if (changed.length > 0) this.logActivity(project, { action: 'updated', detail: changed.join(', ') });
             this.saveProjects();
+            this.emitChange({ entity: 'project', action: 'update', projectId: id });
         }
         return project;
     }
 
+    // Moves the project to the trash. Its tasks go with it and come back with it.
     deleteProject(id) {
+        const project = this.getProject(id);
+        this.assertCan(project, 'delete');
+        ConflictResolver.stamp(project, { deletedAt: Date.now() });
+        this.logActivity(project, { action: 'deleted' });
+        this.saveProjects();
+        this.emitChange({ entity: 'project', action: 'update', projectId: id });
+    }
+
+    restoreProject(id) {
+        const project = this.findProject(id);
+        if (!project || !project.deletedAt) return null;
+        this.assertCan(project, 'delete');
+        ConflictResolver.stamp(project, { deletedAt: null });
+        this.logActivity(project, { action: 'restored' });
+        this.saveProjects();
+        this.emitChange({ entity: 'project', action: 'update', projectId: id });
+        return project;
+    }
+
+    // Removes a trashed project for good
+    purgeProject(id) {
+        const project = this.findProject(id);
+        if (!project || !project.deletedAt) return;
+        this.assertCan(project, 'delete');
         this.projects = this.projects.filter(p => p.id !== id);
         this.saveProjects();
+        this.emitChange({ entity: 'project', action: 'delete', projectId: id });
+    }
+
+    // Trashed projects, and trashed tasks of projects that aren't, newest first
+    getTrash() {
+        const byDeletion = (a, b) => b.deletedAt - a.deletedAt;
+        return {
+            projects: this.projects.filter(p => p.deletedAt).sort(byDeletion),
+            tasks: this.getAllProjects()
+                .flatMap(project => project.tasks.filter(t => t.deletedAt).map(task => ({ project, task, deletedAt: task.deletedAt })))
+                .sort(byDeletion)
+        };
+    }
+
+    // Clears the admin's own store. Shared projects belong to their other members too,
+    // so they stay.
+    clearAll() {
+        this.authManager.requireAdmin();
+        const own = this.projects.filter(p => !StorageManager.isShared(p));
+        StorageManager.clearProjects();
+        this.projects = this.projects.filter(p => StorageManager.isShared(p));
+        this.saveProjects();
+        own.forEach(p => this.emitChange({ entity: 'project', action: 'delete', projectId: p.id }));
+    }
+
+    // Takes a deleted account off every project it was a member of, hidden shared ones included.
+    // Where it was the only owner, an editor (or failing that a viewer) takes over.
+    removeUser(userId) {
+        this.authManager.requireAdmin();
+        [...this.projects, ...StorageManager.hiddenShared].forEach(project => {
+            let members = project.members.filter(m => m.userId !== userId);
+            if (members.length === project.members.length) return;
+            if (members.length > 0 && !members.some(m => m.role === 'owner')) {
+                const heir = members.find(m => m.role === 'editor') || members[0];
+                members = members.map(m => m === heir ? { ...m, role: 'owner' } : m);
+            }
+            ConflictResolver.stamp(project, { members });
+            this.logActivity(project, { action: 'updated', detail: 'members' });
+            if (this.projects.includes(project)) {
+                this.emitChange({ entity: 'project', action: 'update', projectId: project.id });
+            }
+        });
+        this.saveProjects();
+    }
+
+    // Passing a falsy role removes the member
+    setMemberRole(projectId, userId, role) {
+        const project = this.getProject(projectId);
+        this.assertCan(project, 'manage');
+        if (role && !PROJECT_ROLES.includes(role)) throw new Error(`Unknown role: ${role}`);
+
+        // Claim ownership of a project from before roles existed when sharing it
+        let members = project.members.length > 0
+            ? project.members
+            : [{ userId: this.authManager.currentUser.id, role: 'owner' }];
+        members = members.filter(m => m.userId !== userId);
+        if (role) members.push({ userId, role });
+        if (!members.some(m => m.role === 'owner')) {
+            throw new Error('A project needs at least one owner');
+        }
+
+        ConflictResolver.stamp(project, { members });
+        this.logActivity(project, { action: 'updated', detail: 'members' });
+        this.saveProjects();
+        this.emitChange({ entity: 'project', action: 'update', projectId });
+    }
+
+    // Appends an entry for the logged-in user to the project's feed. The user's name is kept
+    // with it, so the entry still reads right on machines that don't know the account.
+    logActivity(project, entry) {
+        const user = this.authManager.currentUser;
+        const activity = [...project.activity, {
+            id: generateId(),
+            createdAt: new Date().toISOString(),
+            userId: user ? user.id : null,
+            userName: user ? user.name : 'Someone',
+            ...entry
+        }].slice(-ACTIVITY_LIMIT);
+        ConflictResolver.stamp(project, { activity });
+    }
+
+    // Names of the logged fields that `data` would change on `record`
+    changedFields(record, data) {
+        return Object.keys(data)
+            .filter(field => ACTIVITY_FIELDS[field] && JSON.stringify(record[field]) !== JSON.stringify(data[field]))
+            .map(field => ACTIVITY_FIELDS[field]);
+    }
+
+    replaceProjects(projects, action) {
+        this.projects = projects;
+        this.saveProjects();
+        this.emitChange({ entity: 'board', action });
+    }
+
+    // Applies the values picked in the conflict dialog; they win on every copy
+    resolveConflicts(choices) {
+        choices.forEach(({ projectId, taskId, field, value }) => {
+            const project = this.findProject(projectId);
+            const record = taskId ? project && project.tasks.find(t => t.id === taskId) : project;
+            if (!record) return;
+
+            ConflictResolver.stamp(record, { [field]: value });
+            project.updateCompletion();
+            this.emitChange({ entity: taskId ? 'task' : 'project', action: 'update', projectId, taskId });
+        });
+        this.saveProjects();
+    }
+
+    // Workflow edits replace the whole column list, so each is a single stamped field change.
+    // `update` gets a copy of the columns and may also restamp the project's tasks.
+    updateWorkflow(projectId, update) {
+        const project = this.getProject(projectId);
+        if (!project) return null;
+        this.assertCan(project, 'edit');
+
+        const workflow = update(project.workflow.map(c => ({ ...c })), project);
+        if (workflow.length === 0) throw new WorkflowError('The workflow needs at least one column');
+        if (!workflow.some(c => c.done)) throw new WorkflowError('The workflow needs at least one done column');
+
+        ConflictResolver.stamp(project, { workflow });
+        project.updateCompletion();
+        this.logActivity(project, { action: 'updated', detail: 'workflow' });
+        this.saveProjects();
+        this.emitChange({ entity: 'project', action: 'update', projectId });
+        return project;
+    }
+
+    assertColumnName(workflow, name, columnId = null) {
+        if (!name.trim()) throw new WorkflowError('Columns need a name');
+        if (workflow.some(c => c.id !== columnId && c.name.toLowerCase() === name.trim().toLowerCase())) {
+            throw new WorkflowError(`There is already a "${name.trim()}" column`);
+        }
+    }
+
+    addColumn(projectId, name) {
+        return this.updateWorkflow(projectId, (workflow) => {
+            this.assertColumnName(workflow, name);
+            // New columns go before the first done column, where work in flight belongs
+            const doneIndex = workflow.findIndex(c => c.done);
+            const index = doneIndex === -1 ? workflow.length : doneIndex;
+            workflow.splice(index, 0, { id: generateId(), name: name.trim(), wipLimit: 0, done: false });
+            return workflow;
+        });
+    }
+
+    // Tasks refer to their column by name, so they are moved along with it
+    renameColumn(projectId, columnId, name) {
+        return this.updateWorkflow(projectId, (workflow, project) => {
+            this.assertColumnName(workflow, name, columnId);
+            const column = workflow.find(c => c.id === columnId);
+            project.tasks
+                .filter(t => t.status === column.name)
+                .forEach(t => ConflictResolver.stamp(t, { status: name.trim() }));
+            column.name = name.trim();
+            return workflow;
+        });
+    }
+
+    moveColumn(projectId, columnId, offset) {
+        return this.updateWorkflow(projectId, (workflow) => {
+            const index = workflow.findIndex(c => c.id === columnId);
+            const target = index + offset;
+            if (index === -1 || target < 0 || target >= workflow.length) return workflow;
+            [workflow[index], workflow[target]] = [workflow[target], workflow[index]];
+            return workflow;
+        });
+    }
+
+    // 0 means no limit
+    setColumnLimit(projectId, columnId, limit) {
+        return this.updateWorkflow(projectId, (workflow) => workflow.map(c =>
+            c.id === columnId ? { ...c, wipLimit: Math.max(0, parseInt(limit, 10) || 0) } : c
+        ));
+    }
+
+    setColumnDone(projectId, columnId, done) {
+        return this.updateWorkflow(projectId, (workflow) => workflow.map(c =>
+            c.id === columnId ? { ...c, done } : c
+        ));
+    }
+
+    deleteColumn(projectId, columnId) {
+        return this.updateWorkflow(projectId, (workflow, project) => {
+            const column = workflow.find(c => c.id === columnId);
+            if (project.getTasks().some(t => t.status === column.name)) {
+                throw new WorkflowError(`Move the tasks out of "${column.name}" before deleting it`);
+            }
+            return workflow.filter(c => c.id !== columnId);
+        });
+    }
+
+    // Projects in the trash are only reachable through findProject
+    getProject(id) {
+        return this.projects.find(p => p.id === id && !p.deletedAt);
+    }
+
+    findProject(id) {
+        return this.projects.find(p => p.id === id);
+    }
+
+    getAllProjects() {
+        return this.projects.filter(p => !p.deletedAt);
+    }
+
+    getStats() {
+        const projects = this.getAllProjects();
+        const total = projects.length;
+        const active = projects.filter(p => p.status === 'Active').length;
+        const completed = projects.filter(p => p.status === 'Completed').length;
+        const onHold = projects.filter(p => p.status === 'On Hold').length;
+        
+        return { total, active, completed, onHold };
+    }
+}
+
+class DependencyError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'DependencyError';
+    }
+}
+
+// Errors that explain why an edit isn't allowed, as opposed to bugs
+const USER_ERRORS = [PermissionError, DependencyError, WorkflowError];
+
+// Task views are how the Tasks page filters, sorts and groups. Empty filters match everything;
+// sorting by 'none' keeps the stored order. Saved views add an id and a name.
+const TASK_VIEW_DEFAULT = {
+    filters: { status: '', priority: '', assignee: '', projectId: '', dueFrom: '', dueTo: '', overdue: false },
+    sort: { field: 'none', direction: 'asc' },
+    group: 'none'
+};
+const TASK_SORT_FIELDS = {
+    none: 'Default order',
+    name: 'Name',
+    status: 'Status',
+    priority: 'Priority',
+    assignee: 'Assignee',
+    projectName: 'Project',
+    dueDate: 'Due date',
+    createdAt: 'Created'
+};
+const TASK_GROUPS = {
+    none: 'No grouping',
+    projectName: 'Project',
+    assignee: 'Assignee',
+    status: 'Status'
+};
+const TASK_PRIORITIES = ['Low', 'Medium', 'High'];
+
+// Task Manager Class
+class TaskManager {
+    constructor(projectManager) {
+        this.projectManager = projectManager;
+    }
+
+    createTask(projectId, name, description, status, priority, dueDate, assignee, dependsOn = [], startDate = '', checklist = [], recurrence = null, estimate = 0, timeEntries = []) {
+        const id = generateId();
+        const task = new Task(id, projectId, name, description, status, priority, dueDate, assignee, dependsOn, startDate, checklist, recurrence, estimate, timeEntries);
+        const project = this.projectManager.getProject(projectId);
+        if (project) {
+            this.projectManager.assertCan(project, 'edit');
+            // Checked as a task with no status yet, so starting out blocked is refused too
+            this.assertDependencies(project, { id, projectId }, dependsOn, status);
+            task.completed = project.isDoneStatus(status);
+            project.tasks.push(task);
+            this.logActivity(project, task, { action: 'created' });
+            this.projectManager.saveProjects();
+            this.projectManager.emitChange({ entity: 'task', action: 'create', projectId, taskId: id });
+        }
+        return task;
+    }
+
+    updateTask(projectId, taskId, data) {
+        const project = this.projectManager.getProject(projectId);
+        if (project) {
+            const task = project.tasks.find(t => t.id === taskId);
+            if (task) {
+                this.assertUpdate(project, task, data);
+                const wasCompleted = task.completed;
+                const from = task.status;
+                const changed = this.projectManager.changedFields(task, data);
+                const reordered = data.rank !== undefined && data.rank !== task.rank;
+                ConflictResolver.stamp(task, data);
+                task.completed = project.isDoneStatus(task.status);
+                if (task.status !== from) {
+                    this.logActivity(project, task, { action: 'status', from, to: task.status });
+                } else if (changed.length > 0) {
+                    this.logActivity(project, task, { action: 'updated', detail: changed.join(', ') });
+                } else if (reordered) {
+                    this.logActivity(project, task, { action: 'reordered', detail: task.status });
+                }
+                const next = !wasCompleted && task.completed && task.recurrence
+                    ? this.createNextOccurrence(project, task)
+                    : null;
+                if (next) this.logActivity(project, next, { action: 'created', detail: 'next occurrence' });
+                this.projectManager.saveProjects();
+                this.projectManager.emitChange({ entity: 'task', action: 'update', projectId, taskId });
+                if (next) this.projectManager.emitChange({ entity: 'task', action: 'create', projectId, taskId: next.id });
+                return task;
+            }
+        }
+        return null;
+    }
+
+    // Moves the task to the trash. Tasks that depend on it keep the link but aren't blocked
+    // by it; the link only goes when the task is purged.
+    deleteTask(projectId, taskId) {
+        const project = this.projectManager.getProject(projectId);
+        const task = this.getTask(projectId, taskId);
+        if (task) {
+            this.projectManager.assertCan(project, 'edit');
+            ConflictResolver.stamp(task, { deletedAt: Date.now() });
+            this.logActivity(project, task, { action: 'deleted' });
+            this.projectManager.saveProjects();
+            this.projectManager.emitChange({ entity: 'task', action: 'update', projectId, taskId });
+        }
+    }
+
+    restoreTask(projectId, taskId) {
+        const project = this.projectManager.getProject(projectId);
+        const task = project && project.tasks.find(t => t.id === taskId && t.deletedAt);
+        if (!task) return null;
+        this.projectManager.assertCan(project, 'edit');
+        // Its column may have been deleted while it was in the trash
+        const data = { deletedAt: null };
+        if (!project.getColumn(task.status)) data.status = project.getStartStatus();
+        ConflictResolver.stamp(task, data);
+        task.completed = project.isDoneStatus(task.status);
+        this.logActivity(project, task, { action: 'restored' });
+        this.projectManager.saveProjects();
+        this.projectManager.emitChange({ entity: 'task', action: 'update', projectId, taskId });
+        return task;
+    }
+
+    purgeTask(projectId, taskId) {
+        const project = this.projectManager.getProject(projectId);
+        if (!project || !project.tasks.some(t => t.id === taskId && t.deletedAt)) return;
+        this.projectManager.assertCan(project, 'edit');
+        this.removeFromProject(project, taskId);
+        this.projectManager.saveProjects();
+        this.projectManager.emitChange({ entity: 'task', action: 'delete', projectId, taskId });
+    }
+
+    // Purges whatever has been in the trash longer than `days`, skipping items the user
+    // isn't allowed to purge. Returns how many were removed.
+    purgeExpired(days) {
+        const cutoff = Date.now() - days * DAY_MS;
+        const { projects, tasks } = this.projectManager.getTrash();
+        const expiredProjects = projects.filter(p => p.deletedAt < cutoff && this.projectManager.can(p, 'delete'));
+        const expiredTasks = tasks.filter(({ project, deletedAt }) => deletedAt < cutoff && this.projectManager.can(project, 'edit'));
+        this.projectManager.batch(() => {
+            expiredProjects.forEach(p => this.projectManager.purgeProject(p.id));
+            expiredTasks.forEach(({ project, task }) => this.purgeTask(project.id, task.id));
+        });
+        return expiredProjects.length + expiredTasks.length;
+    }
+
+    // The repeat rule moves on to the new occurrence, so completing the old one again later
+    // doesn't create a second copy. Returns null once the series has ended.
+    createNextOccurrence(project, task) {
+        const rule = task.recurrence;
+        ConflictResolver.stamp(task, { recurrence: null });
+        if (!task.dueDate) return null;
+
+        const dueDate = Recurrence.nextDate(rule, task.dueDate);
+        if (!Recurrence.includes(rule, rule.occurrence + 1, dueDate)) return null;
+        const shift = daysBetween(parseDay(task.dueDate), parseDay(dueDate));
+        const startDate = task.startDate ? formatDay(addDays(parseDay(task.startDate), shift)) : '';
+        const checklist = task.checklist.map(item => ({ ...item, id: generateId(), done: false }));
+
+        const next = new Task(generateId(), project.id, task.name, task.description, project.getStartStatus(),
+            task.priority, dueDate, task.assignee, [], startDate, checklist, { ...rule, occurrence: rule.occurrence + 1 }, task.estimate);
+        next.completed = project.isDoneStatus(next.status);
+        project.tasks.push(next);
+        return next;
+    }
+
+    // Takes a task out of its project along with the dependencies other tasks had on it
+    removeFromProject(project, taskId) {
+        project.tasks = project.tasks.filter(t => t.id !== taskId);
+        project.tasks.forEach(t => {
+            if (t.dependsOn.includes(taskId)) {
+                ConflictResolver.stamp(t, { dependsOn: t.dependsOn.filter(id => id !== taskId) });
+                this.projectManager.emitChange({ entity: 'task', action: 'update', projectId: project.id, taskId: t.id });
+            }
+        });
+    }
+
+    // Dependencies only link tasks within a project, so a moved task loses them. It goes into
+    // `status` if given, or else keeps its column if the new project's workflow has one of the
+    // same name. Either way the column's WIP limit applies. Both projects are saved together,
+    // though see StorageManager.saveProjects for moves between a private and a shared project.
+    moveTask(projectId, taskId, targetProjectId, status = null) {
+        const source = this.projectManager.getProject(projectId);
+        const target = this.projectManager.getProject(targetProjectId);
+        const task = source && source.tasks.find(t => t.id === taskId);
+        if (!task || !target || source === target) return task || null;
+        this.projectManager.assertCan(source, 'edit');
+        this.projectManager.assertCan(target, 'edit');
+
+        const column = status || (target.getColumn(task.status) ? task.status : target.getStartStatus());
+        if (!target.getColumn(column)) throw new WorkflowError(`${target.name} has no "${column}" column`);
+        const limitError = this.getWipLimitError(targetProjectId, column, taskId);
+        if (limitError) throw new WorkflowError(limitError);
+
+        this.removeFromProject(source, taskId);
+        ConflictResolver.stamp(task, {
+            projectId: targetProjectId,
+            dependsOn: [],
+            status: column
+        });
+        task.completed = target.isDoneStatus(task.status);
+        target.tasks.push(task);
+        this.logActivity(source, task, { action: 'moved-out', detail: target.name });
+        this.logActivity(target, task, { action: 'moved-in', detail: source.name });
+
+        this.projectManager.saveProjects();
+        this.projectManager.emitChange({ entity: 'task', action: 'delete', projectId, taskId });
+        this.projectManager.emitChange({ entity: 'task', action: 'create', projectId: targetProjectId, taskId });
+        return task;
+    }
+
+    // A copy of the task in `targetProjectId`, which may be its own project. Comments and
+    // logged time stay with the original, and so do dependencies outside its own project.
+    duplicateTask(projectId, taskId, targetProjectId) {
+        const task = this.getTask(projectId, taskId);
+        const target = this.projectManager.getProject(targetProjectId);
+        if (!task || !target) return null;
+        const sameProject = targetProjectId === projectId;
+        return this.createTask(
+            targetProjectId,
+            sameProject ? `${task.name} (copy)` : task.name,
+            task.description,
+            target.getColumn(task.status) ? task.status : target.getStartStatus(),
+            task.priority,
+            task.dueDate,
+            task.assignee,
+            sameProject ? [...task.dependsOn] : [],
+            task.startDate,
+            task.checklist.map(item => ({ ...item, id: generateId() })),
+            task.recurrence ? { ...task.recurrence } : null,
+            task.estimate
+        );
+    }
+
+    getTask(projectId, taskId) {
+        const project = this.projectManager.getProject(projectId);
+        return project ? project.getTasks().find(t => t.id === taskId) : null;
+    }
+
+    // Bulk edits take { projectId, taskId } refs and run as one batch: a single save and a
+    // single undo step. Tasks an edit can't apply to are skipped; their errors are returned.
+    updateTasks(refs, data) {
+        return this.runBatch(refs, ({ projectId, taskId }) => {
+            const project = this.projectManager.getProject(projectId);
+            if (data.status && project && !project.getColumn(data.status)) {
+                throw new WorkflowError(`${project.name} has no ${data.status} column`);
+            }
+            this.updateTask(projectId, taskId, data);
+        });
+    }
+
+    moveTasks(refs, targetProjectId) {
+        return this.runBatch(refs, ({ projectId, taskId }) => this.moveTask(projectId, taskId, targetProjectId));
+    }
+
+    deleteTasks(refs) {
+        return this.runBatch(refs, ({ projectId, taskId }) => this.deleteTask(projectId, taskId));
+    }
+
+    runBatch(refs, apply) {
+        const errors = [];
+        this.projectManager.batch(() => refs.forEach(ref => {
+            try {
+                apply(ref);
+            } catch (error) {
+                if (!USER_ERRORS.some(type => error instanceof type)) throw error;
+                errors.push(error);
+            }
+        }));
+        return errors;
+    }
+
+    // Activity lives on the project, so the project record is synced along with the task
+    logActivity(project, task, entry) {
+        this.projectManager.logActivity(project, { taskId: task.id, taskName: task.name, ...entry });
+        this.projectManager.emitChange({ entity: 'project', action: 'update', projectId: project.id });
+    }
+
+    // Anyone who can see a project may comment on its tasks. Replies to a reply join the
+    // thread of the comment it answers, so threads are one level deep.
+    addComment(projectId, taskId, text, parentId = null) {
+        const project = this.projectManager.getProject(projectId);
+        const task = this.getTask(projectId, taskId);
+        const user = this.projectManager.authManager.currentUser;
+        if (!task) return null;
+        if (!user) throw new PermissionError('Log in to comment');
+
+        const parent = task.comments.find(c => c.id === parentId);
+        const comment = {
+            id: generateId(),
+            userId: user.id,
+            userName: user.name,
+            text,
+            mentions: this.findMentions(text),
+            parentId: parent ? parent.parentId || parent.id : null,
+            createdAt: new Date().toISOString()
+        };
+        ConflictResolver.stamp(task, { comments: [...task.comments, comment] });
+        this.logActivity(project, task, { action: 'commented' });
+        this.projectManager.saveProjects();
+        this.projectManager.emitChange({ entity: 'task', action: 'update', projectId, taskId });
+        return comment;
+    }
+
+    // Known users named as @username in the text
+    findMentions(text) {
+        return this.projectManager.authManager.getUsers()
+            .filter(user => new RegExp(`(^|\\s)@${escapeRegExp(user.username)}(?![\\w.-])`, 'i').test(text))
+            .map(user => ({ userId: user.id, username: user.username }));
+    }
+
+    // Checklist edits replace the whole list, so each one is a single stamped field change
+    addChecklistItem(projectId, taskId, text) {
+        const task = this.getTask(projectId, taskId);
+        if (!task) return null;
+        return this.updateTask(projectId, taskId, {
+            checklist: [...task.checklist, { id: generateId(), text, done: false }]
+        });
+    }
+
+    toggleChecklistItem(projectId, taskId, itemId, done) {
+        const task = this.getTask(projectId, taskId);
+        if (!task) return null;
+        return this.updateTask(projectId, taskId, {
+            checklist: task.checklist.map(item => item.id === itemId ? { ...item, done } : item)
+        });
+    }
+
+    removeChecklistItem(projectId, taskId, itemId) {
+        const task = this.getTask(projectId, taskId);
+        if (!task) return null;
+        return this.updateTask(projectId, taskId, {
+            checklist: task.checklist.filter(item => item.id !== itemId)
+        });
+    }
+
+    // Trashed tasks still take entries, so a timer left running on one isn't lost
+    addTimeEntry(projectId, taskId, entry) {
+        const project = this.projectManager.getProject(projectId);
+        const task = project && project.tasks.find(t => t.id === taskId);
+        if (!task) return null;
+        return this.updateTask(projectId, taskId, {
+            timeEntries: [...task.timeEntries, { id: generateId(), ...entry }]
+        });
+    }
+
+    // Estimated against logged hours for each task in a project, with totals
+    getTimeReport(projectId) {
+        const project = this.projectManager.getProject(projectId);
+        const rows = project.getTasks().map(task => ({ task, estimate: task.estimate, logged: task.getLoggedMinutes() / 60 }));
+        return {
+            rows,
+            estimate: rows.reduce((sum, row) => sum + row.estimate, 0),
+            logged: rows.reduce((sum, row) => sum + row.logged, 0)
+        };
+    }
+
+    // Unfinished predecessors of a task. IDs of deleted and trashed tasks are ignored.
+    getBlockers(task) {
+        const project = this.projectManager.getProject(task.projectId);
+        if (!project) return [];
+        return project.getTasks().filter(t => task.dependsOn.includes(t.id) && !t.completed);
+    }
+
+    isBlocked(task) {
+        return this.getBlockers(task).length > 0;
+    }
+
+    // True when `taskId` is reachable by following dependsOn links from `dependsOn`
+    createsCycle(project, taskId, dependsOn) {
+        const byId = new Map(project.tasks.map(t => [t.id, t]));
+        const visited = new Set();
+        const stack = [...dependsOn];
+
+        while (stack.length > 0) {
+            const id = stack.pop();
+            if (id === taskId) return true;
+            if (visited.has(id)) continue;
+            visited.add(id);
+            const task = byId.get(id);
+            if (task) stack.push(...task.dependsOn);
+        }
+        return false;
+    }
+
+    // Throws if `data` can't be applied to the task; updateTask runs the same check
+    assertUpdate(project, task, data) {
+        this.projectManager.assertCan(project, 'edit');
+        this.assertDependencies(project, task, data.dependsOn || task.dependsOn, data.status);
+    }
+
+    assertDependencies(project, task, dependsOn, status) {
+        if (dependsOn.some(id => !project.tasks.some(t => t.id === id && t.id !== task.id))) {
+            throw new DependencyError('A task can only depend on other tasks in the same project');
+        }
+        if (this.createsCycle(project, task.id, dependsOn)) {
+            throw new DependencyError('These dependencies would create a cycle');
+        }
+        // A blocked task may move back through the workflow but not forward or into a done column
+        const from = Math.max(project.getColumnIndex(task.status), 0);
+        if (status && status !== task.status && (project.getColumnIndex(status) > from || project.isDoneStatus(status))) {
+            const blockers = this.getBlockers({ ...task, dependsOn });
+            if (blockers.length > 0) {
+                throw new DependencyError(`Blocked by unfinished tasks: ${blockers.map(t => t.name).join(', ')}`);
+            }
+        }
+    }
+
+    getAllTasks() {
+        return this.projectManager.getAllProjects().flatMap(p => 
+            p.getTasks().map(t => Object.assign(Object.create(Task.prototype), t, { projectName: p.name }))
+        );
+    }
+
+    // Every task through a view, as [{ label, tasks }] groups (a single unlabelled one when
+    // the view isn't grouped). Tasks without a value for the sort field go last.
+    queryTasks(view) {
+        const { filters, sort, group } = view;
+        const tasks = this.getAllTasks().filter(t =>
+            (!filters.status || t.status === filters.status) &&
+            (!filters.priority || t.priority === filters.priority) &&
+            (!filters.assignee || t.assignee === filters.assignee) &&
+            (!filters.projectId || t.projectId === filters.projectId) &&
+            (!filters.dueFrom || (t.dueDate && t.dueDate >= filters.dueFrom)) &&
+            (!filters.dueTo || (t.dueDate && t.dueDate <= filters.dueTo)) &&
+            (!filters.overdue || t.isOverdue()));
+
+        const sortValue = (t) => {
+            switch (sort.field) {
+                case 'priority': return TASK_PRIORITIES.indexOf(t.priority);
+                case 'status': return this.projectManager.getProject(t.projectId).getColumnIndex(t.status);
+                case 'createdAt': return new Date(t.createdAt).getTime();
+                default: return t[sort.field] || '';
+            }
+        };
+        if (sort.field !== 'none') {
+            const direction = sort.direction === 'desc' ? -1 : 1;
+            tasks.sort((a, b) => {
+                const x = sortValue(a);
+                const y = sortValue(b);
+                if (x === '' || y === '') return (x === '') - (y === '');
+                return (typeof x === 'number' ? x - y : x.localeCompare(y, undefined, { numeric: true })) * direction;
+            });
+        }
+
+        if (group === 'none') return [{ label: '', tasks }];
+        const groups = new Map();
+        tasks.forEach(t => {
+            const key = t[group] || '';
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(t);
+        });
+        return [...groups.keys()]
+            .sort((a, b) => (a === '') - (b === '') || a.localeCompare(b))
+            .map(key => ({ label: key || (group === 'assignee' ? 'Unassigned' : 'None'), tasks: groups.get(key) }));
+    }
+
+    getTasksByStatus(status) {
+        return this.getAllTasks().filter(t => t.status === status);
+    }
+
+    // Why moving another task into `status` would go over that column's WIP limit, or null
+    getWipLimitError(projectId, status, taskId = null) {
+        const project = this.projectManager.getProject(projectId);
+        const column = project && project.getColumn(status);
+        if (!column || !column.wipLimit) return null;
+        const count = project.getTasks().filter(t => t.status === status && t.id !== taskId).length;
+        if (count < column.wipLimit) return null;
+        return `"${status}" is at its limit of ${column.wipLimit} task${column.wipLimit === 1 ? '' : 's'}`;
+    }
+
+    getOverdueTasks() {
+        return this.getAllTasks().filter(t => {
+            if (!t.dueDate || t.completed) return false;
+            return new Date(t.dueDate) < new Date();
+        });
+    }
+
+    getPendingTasks() {
+        return this.getAllTasks().filter(t => !t.completed);
+    }
+
+    getStats() {
+        const allTasks = this.getAllTasks();
+        const pending = allTasks.filter(t => !t.completed).length;
+        const overdue = this.getOverdueTasks().length;
+        const completed = allTasks.filter(t => t.completed).length;
+        // Tasks in the first column of their workflow haven't been started
+        const columnIndex = (t) => this.projectManager.getProject(t.projectId).getColumnIndex(t.status);
+        const toDo = allTasks.filter(t => !t.completed && columnIndex(t) <= 0).length;
+        const inProgress = allTasks.filter(t => !t.completed && columnIndex(t) > 0).length;
+        const progress = allTasks.length === 0 ? 0
+            : Math.round(allTasks.reduce((sum, t) => sum + t.getCompletion(), 0) / allTasks.length * 100);
+        // Weeks start on Monday, as on the timeline
+        const today = new Date();
+        const weekStart = formatDay(addDays(today, -((today.getDay() + 6) % 7)));
+        const minutesThisWeek = allTasks.reduce((sum, t) =>
+            sum + t.timeEntries.filter(entry => entry.date >= weekStart).reduce((total, entry) => total + entry.minutes, 0), 0);
+        const hoursThisWeek = Math.round(minutesThisWeek / 6) / 10;
+        
+        return { pending, overdue, completed, toDo, inProgress, progress, hoursThisWeek, total: allTasks.length };
+    }
+}
+
+// Time Tracker Class
+// One timer runs at a time. It is saved through StorageManager as soon as it starts, so a
+// reload or a closed tab doesn't lose it, and becomes a time entry on the task when stopped.
+class TimeTracker {
+    constructor(taskManager) {
+        this.taskManager = taskManager;
+        this.active = null;
+    }
+
+    load() {
+        this.active = StorageManager.load('activeTimer');
+    }
+
+    unload() {
+        this.active = null;
+    }
+
+    isRunning(taskId) {
+        return Boolean(this.active && this.active.taskId === taskId);
+    }
+
+    getElapsed() {
+        return this.active ? Date.now() - this.active.startedAt : 0;
+    }
+
+    start(projectId, taskId) {
+        const project = this.taskManager.projectManager.getProject(projectId);
+        this.taskManager.projectManager.assertCan(project, 'edit');
+        if (this.active) this.stop();
+        this.active = { projectId, taskId, startedAt: Date.now() };
+        StorageManager.save('activeTimer', this.active);
+    }
+
+    // Returns the task the time was logged on, or null when under a minute was recorded
+    // or the task no longer exists. The timer keeps running if the entry can't be saved,
+    // including while the task's project is in the trash.
+    stop() {
+        const { taskId, startedAt } = this.active;
+        const minutes = Math.round((Date.now() - startedAt) / 60000);
+        // Looked up by id, as the task may have moved project or gone to the trash meanwhile
+        const project = this.taskManager.projectManager.projects.find(p => p.tasks.some(t => t.id === taskId));
+        if (minutes > 0 && project && project.deletedAt) {
+            throw new WorkflowError(`${project.name} is in the trash; restore it to log the timer's time`);
+        }
+        const task = minutes > 0 && project
+            ? this.taskManager.addTimeEntry(project.id, taskId, { date: formatDay(new Date(startedAt)), minutes, note: '' })
+            : null;
+
+        this.active = null;
+        StorageManager.remove('activeTimer');
+        return task;
+    }
+}
+
+// Template Manager Class
+// Templates are reusable project outlines, saved per user: the workflow and the tasks, with
+// dates kept as day offsets from the project's first date and assignees kept as roles to
+// fill in. Duplicating a project goes through an outline too, one that keeps progress.
+class TemplateManager {
+    constructor(projectManager, taskManager) {
+        this.projectManager = projectManager;
+        this.taskManager = taskManager;
+        this.templates = [];
+    }
+
+    // Templates belong to the logged-in user, so they are read per session
+    load() {
+        this.templates = StorageManager.load('projectTemplates') || [];
+    }
+
+    unload() {
+        this.templates = [];
+    }
+
+    getTemplate(id) {
+        return this.templates.find(t => t.id === id) || null;
+    }
+
+    // The earliest date on the project or its tasks, which outline offsets count from
+    static getStartDate(project) {
+        const dates = [project.deadline, ...project.getTasks().flatMap(t => [t.startDate, t.dueDate])].filter(Boolean).sort();
+        return dates.length > 0 ? dates[0] : formatDay(project.createdAt);
+    }
+
+    // Template outlines start every task over; duplicates keep statuses and ticked items
+    static outline(project, keepProgress) {
+        const start = parseDay(TemplateManager.getStartDate(project));
+        const offset = (day) => day ? daysBetween(start, parseDay(day)) : null;
+        const tasks = project.getTasks();
+        return {
+            description: project.description,
+            priority: project.priority,
+            deadlineOffset: offset(project.deadline),
+            workflow: project.workflow.map(c => ({ ...c })),
+            tasks: tasks.map(task => ({
+                key: task.id,
+                name: task.name,
+                description: task.description,
+                status: keepProgress ? task.status : project.getStartStatus(),
+                priority: task.priority,
+                role: task.assignee,
+                startOffset: offset(task.startDate),
+                dueOffset: offset(task.dueDate),
+                dependsOn: task.dependsOn.filter(id => tasks.some(t => t.id === id)),
+                checklist: task.checklist.map(item => ({ text: item.text, done: keepProgress && item.done })),
+                recurrence: task.recurrence && {
+                    ...task.recurrence,
+                    until: offset(task.recurrence.until),
+                    occurrence: keepProgress ? task.recurrence.occurrence : 1
+                },
+                estimate: task.estimate
+            }))
+        };
+    }
+
+    // Saving under an existing name replaces that template
+    saveFromProject(projectId, name) {
+        const project = this.projectManager.getProject(projectId);
+        if (!project) return null;
+        const existing = this.templates.find(t => t.name === name);
+        const template = {
+            id: existing ? existing.id : generateId(),
+            name,
+            createdAt: new Date().toISOString(),
+            ...TemplateManager.outline(project, false)
+        };
+        this.templates = existing
+            ? this.templates.map(t => t.id === template.id ? template : t)
+            : [...this.templates, template];
+        StorageManager.save('projectTemplates', this.templates);
+        return template;
+    }
+
+    deleteTemplate(id) {
+        this.templates = this.templates.filter(t => t.id !== id);
+        StorageManager.save('projectTemplates', this.templates);
+    }
+
+    // The roles a template's tasks are assigned to
+    getRoles(template) {
+        return [...new Set(template.tasks.map(t => t.role).filter(Boolean))].sort();
+    }
+
+    // Builds a project from an outline in a single save. Dates are laid out from `startDate`
+    // unless a deadline is given; `assignees` maps roles to people, and unmapped roles are
+    // kept as the assignee.
+    createProject(outline, { name, description, status, priority, deadline, startDate, assignees = {} }) {
+        const start = parseDay(startDate);
+        const shift = (offset) => offset === null ? '' : formatDay(addDays(start, offset));
+        return this.projectManager.batch(() => {
+            const project = this.projectManager.createProject(name, description, status, priority, deadline || shift(outline.deadlineOffset));
+            this.projectManager.updateWorkflow(project.id, () => outline.workflow.map(c => ({ ...c })));
+
+            const ids = new Map();
+            outline.tasks.forEach(t => {
+                const dueDate = shift(t.dueOffset);
+                const recurrence = t.recurrence && {
+                    ...t.recurrence,
+                    until: shift(t.recurrence.until),
+                    monthDay: dueDate ? parseDay(dueDate).getDate() : t.recurrence.monthDay
+                };
+                const task = this.taskManager.createTask(project.id, t.name, t.description, t.status, t.priority, dueDate,
+                    assignees[t.role] || t.role, [], shift(t.startOffset),
+                    t.checklist.map(item => ({ id: generateId(), ...item })), recurrence, t.estimate);
+                ids.set(t.key, task.id);
+            });
+            // Links are restored as they were, rather than checked again against copied statuses
+            outline.tasks.filter(t => t.dependsOn.length > 0).forEach(t => {
+                const task = project.tasks.find(other => other.id === ids.get(t.key));
+                ConflictResolver.stamp(task, { dependsOn: t.dependsOn.map(key => ids.get(key)) });
+                this.projectManager.emitChange({ entity: 'task', action: 'update', projectId: project.id, taskId: task.id });
+            });
+            return project;
+        });
+    }
+
+    createFromTemplate(templateId, options) {
+        const template = this.getTemplate(templateId);
+        return template ? this.createProject(template, options) : null;
+    }
+
+    // A copy with the same dates and progress; members, comments and logged time stay behind
+    duplicateProject(projectId) {
+        const project = this.projectManager.getProject(projectId);
+        if (!project) return null;
+        return this.createProject(TemplateManager.outline(project, true), {
+            name: `${project.name} (copy)`,
+            description: project.description,
+            status: project.status,
+            priority: project.priority,
+            deadline: project.deadline,
+            startDate: TemplateManager.getStartDate(project)
+        });
+    }
+}
+
+// History Manager Class
+// Undo and redo for data changes. The project and task CRUD methods are wrapped so each
+// call records a command: the fields it changed on each record and the records it added
+// or removed. Undo sets exactly those back as an ordinary stamped (and synced) edit, so
+// later changes to other fields survive. Calls made inside a recorded call are part of it.
+const HISTORY_LIMIT = 100;
+const HISTORY_LABELS = {
+    createProject: 'Create project',
+    updateProject: 'Edit project',
+    deleteProject: 'Delete project',
+    createTask: 'Create task',
+    updateTask: 'Edit task',
+    deleteTask: 'Delete task',
+    moveTask: 'Move task',
+    duplicateTask: 'Duplicate task',
+    updateTasks: 'Edit tasks',
+    moveTasks: 'Move tasks',
+    deleteTasks: 'Delete tasks',
+    duplicateProject: 'Duplicate project',
+    createFromTemplate: 'Create project from template'
+};
+// Bookkeeping and the append-only feeds are never rolled back
+const HISTORY_IGNORED_FIELDS = [...MERGE_IGNORED_FIELDS, ...MERGE_UNION_FIELDS];
+
+class HistoryManager {
+    constructor(projectManager, taskManager) {
+        this.projectManager = projectManager;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.depth = 0;
+        // Copies of the projects as they last stood, or null until the first command. A
+        // command only copies again the projects its changes name (`touched`, or all of them
+        // when the whole board changed) and diffs those against their copies.
+        this.copies = null;
+        this.touched = new Set();
+        this.touchedAll = false;
+        projectManager.onChange(change => this.track(change));
+        projectManager.onReload(() => { this.copies = null; });
+        this.wrap(projectManager, ['createProject', 'updateProject', 'deleteProject']);
+        this.wrap(taskManager, ['createTask', 'updateTask', 'deleteTask', 'moveTask', 'duplicateTask', 'updateTasks', 'moveTasks', 'deleteTasks']);
+    }
+
+    wrap(target, names) {
+        names.forEach(name => {
+            const method = target[name].bind(target);
+            target[name] = (...args) => this.record(HISTORY_LABELS[name], () => method(...args));
+        });
+    }
+
+    // Runs `action` and records what it changed as one undoable command
+    record(label, action) {
+        if (this.depth > 0) return action();
+        if (!this.copies) this.copies = this.snapshot();
+        this.touched = new Set();
+        this.touchedAll = false;
+        this.depth++;
+        let completed = false;
+        try {
+            const result = action();
+            completed = true;
+            return result;
+        } finally {
+            this.depth--;
+            // Copies are refreshed even when the action failed part way
+            const changes = this.takeChanges();
+            if (completed && changes.length > 0) {
+                this.undoStack = [...this.undoStack, { label, changes }].slice(-HISTORY_LIMIT);
+                this.redoStack = [];
+            }
+        }
+    }
+
+    // Changes made outside a command (comments, sync, undo itself) refresh their copies
+    track({ entity, projectId }) {
+        if (this.depth > 0) {
+            if (entity === 'board') this.touchedAll = true;
+            else this.touched.add(projectId);
+        } else if (this.copies) {
+            if (entity === 'board') this.copies = null;
+            else this.copy(projectId);
+        }
+    }
+
+    copy(projectId) {
+        const project = this.projectManager.findProject(projectId);
+        if (project) this.copies.set(projectId, JSON.parse(JSON.stringify(project)));
+        else this.copies.delete(projectId);
+    }
+
+    takeChanges() {
+        const ids = this.touchedAll
+            ? new Set([...this.copies.keys(), ...this.projectManager.projects.map(p => p.id)])
+            : this.touched;
+        const pick = () => new Map([...ids].filter(id => this.copies.has(id)).map(id => [id, this.copies.get(id)]));
+        const before = pick();
+        ids.forEach(id => this.copy(id));
+        return this.diff(before, pick());
+    }
+
+    // Each user has their own history
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.copies = null;
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    // Both return the command's label, or null when there was nothing to do
+    undo() {
+        return this.step(this.undoStack, this.redoStack, 'before', 'undid');
+    }
+
+    redo() {
+        return this.step(this.redoStack, this.undoStack, 'after', 'redid');
+    }
+
+    // A command that can't be applied (e.g. the user lost edit rights) stays where it was
+    step(from, to, side, action) {
+        const command = from[from.length - 1];
+        if (!command) return null;
+        this.apply(command, side, action);
+        from.pop();
+        to.push(command);
+        return command.label;
+    }
+
+    snapshot() {
+        return new Map(this.projectManager.projects.map(p => [p.id, JSON.parse(JSON.stringify(p))]));
+    }
+
+    // Changes as { projectId, taskId, before, after }, where a missing record is null.
+    // Whole projects are kept when one was added or removed, tasks included.
+    diff(before, after) {
+        const changes = [];
+        new Set([...before.keys(), ...after.keys()]).forEach(projectId => {
+            const previous = before.get(projectId) || null;
+            const next = after.get(projectId) || null;
+            if (JSON.stringify(previous) === JSON.stringify(next)) return;
+            if (!previous || !next) {
+                changes.push({ projectId, taskId: null, before: previous, after: next });
+                return;
+            }
+
+            const { tasks: previousTasks, ...previousFields } = previous;
+            const { tasks: nextTasks, ...nextFields } = next;
+            if (this.changedFields(previousFields, nextFields).length > 0) {
+                changes.push({ projectId, taskId: null, before: previousFields, after: nextFields });
+            }
+            const previousById = new Map(previousTasks.map(t => [t.id, t]));
+            const nextById = new Map(nextTasks.map(t => [t.id, t]));
+            new Set([...previousById.keys(), ...nextById.keys()]).forEach(taskId => {
+                const task = previousById.get(taskId) || null;
+                const updated = nextById.get(taskId) || null;
+                if (task && updated && this.changedFields(task, updated).length === 0) return;
+                changes.push({ projectId, taskId, before: task, after: updated });
+            });
+        });
+        return changes;
+    }
+
+    changedFields(from, to) {
+        return [...new Set([...Object.keys(from), ...Object.keys(to)])].filter(field =>
+            !HISTORY_IGNORED_FIELDS.includes(field) && JSON.stringify(from[field]) !== JSON.stringify(to[field]));
+    }
+
+    // Moves every record in the command to its `side` ('before' or 'after') version
+    apply(command, side, action) {
+        const other = side === 'before' ? 'after' : 'before';
+        command.changes.forEach(change => {
+            const project = this.projectManager.findProject(change.projectId);
+            if (project) this.projectManager.assertCan(project, change.taskId || (change.before && change.after) ? 'edit' : 'delete');
+        });
+
+        const touched = new Set();
+        command.changes.forEach(change => {
+            // Copied, so the board never shares objects with the stored command
+            const target = change[side] && JSON.parse(JSON.stringify(change[side]));
+            const project = this.projectManager.findProject(change.projectId);
+            const emit = (entity, changeAction, taskId) =>
+                this.projectManager.emitChange({ entity, action: changeAction, projectId: change.projectId, taskId });
+
+            if (!change.taskId) {
+                if (!target) {
+                    if (!project) return;
+                    this.projectManager.projects = this.projectManager.projects.filter(p => p.id !== project.id);
+                    emit('project', 'delete');
+                } else if (!change[other]) {
+                    if (project) return;
+                    const restored = Project.fromJSON(target);
+                    this.projectManager.projects.push(restored);
+                    emit('project', 'create');
+                    restored.tasks.forEach(t => emit('task', 'create', t.id));
+                    touched.add(restored);
+                } else if (project) {
+                    this.setFields(project, change[other], target);
+                    emit('project', 'update');
+                    touched.add(project);
+                }
+                return;
+            }
+
+            if (!project) return;
+            const task = project.tasks.find(t => t.id === change.taskId);
+            if (!target) {
+                if (!task) return;
+                project.tasks = project.tasks.filter(t => t.id !== task.id);
+                emit('task', 'delete', task.id);
+            } else if (!change[other]) {
+                if (task) return;
+                project.tasks.push(Task.fromJSON(target, project));
+                emit('task', 'create', change.taskId);
+            } else if (task) {
+                this.setFields(task, change[other], target);
+                emit('task', 'update', task.id);
+            }
+            touched.add(project);
+        });
+
+        touched.forEach(project => {
+            project.updateCompletion();
+            this.projectManager.logActivity(project, { action, detail: command.label });
+            this.projectManager.emitChange({ entity: 'project', action: 'update', projectId: project.id });
+        });
+        this.projectManager.saveProjects();
+    }
+
+    setFields(record, from, to) {
+        const data = {};
+        this.changedFields(from, to).forEach(field => {
+            data[field] = to[field];
+        });
+        ConflictResolver.stamp(record, data);
+    }
+}
+
+// Sync Manager Class
+// A request the sync server answered with an error status
+class SyncError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'SyncError';
+        this.status = status;
+    }
+}
+
+// Pushes local mutations to an optional REST server (see server.js) and pulls the
+// shared board back. Writes made while offline wait in a persisted queue.
+class SyncManager {
+    constructor(projectManager) {
+        this.projectManager = projectManager;
+        this.serverUrl = '';
+        this.queue = [];
+        this.lastSyncAt = 0;
+        this.status = 'disabled';
+        this.flushing = false;
+        this.applyingRemote = false;
+        this.pollTimer = null;
+        // The UIController, given to init() as it is created after this; pulls refresh it
+        this.ui = null;
+    }
+
+    init(ui) {
+        this.ui = ui;
+        this.projectManager.onChange(change => this.enqueue(change));
+        window.addEventListener('online', () => this.sync());
+        window.addEventListener('offline', () => this.setStatus('offline'));
+    }
+
+    // Sync settings belong to the logged-in user, so they are read per session
+    start() {
+        this.serverUrl = StorageManager.load('serverUrl') || '';
+        this.queue = StorageManager.load('syncQueue') || [];
+        this.lastSyncAt = StorageManager.load('lastSyncAt') || 0;
+
+        clearInterval(this.pollTimer);
+        if (!this.serverUrl) {
+            this.setStatus('disabled');
+            return;
+        }
+        this.sync();
+        this.pollTimer = setInterval(() => this.sync(), 30000);
+    }
+
+    stop() {
+        clearInterval(this.pollTimer);
+        this.serverUrl = '';
+        this.queue = [];
+        this.setStatus('disabled');
+    }
+
+    setServerUrl(url) {
+        this.serverUrl = url.trim().replace(/\/+$/, '');
+        StorageManager.save('serverUrl', this.serverUrl);
+        this.queue = [];
+        this.lastSyncAt = 0;
+        StorageManager.save('lastSyncAt', 0);
+        if (this.serverUrl) {
+            // Seed the server with whatever is on this board, then pull the merged result
+            this.enqueue({ entity: 'board', action: 'merge' });
+        }
+        this.saveQueue();
+        this.start();
+    }
+
+    enqueue(change) {
+        if (!this.serverUrl || this.applyingRemote) return;
+
+        // Records are sent as they are at send time, so one queued update per record is enough
+        if (change.action === 'update' && this.queue.some(op => op.action === 'update' &&
+            op.entity === change.entity && op.projectId === change.projectId && op.taskId === change.taskId)) {
+            return;
+        }
+        this.queue.push(change);
+        this.saveQueue();
+        // Sent once the mutation has emitted all its changes, so they can go out together
+        setTimeout(() => this.flush());
+    }
+
+    snapshot({ entity, action, projectId, taskId }) {
+        if (action === 'delete') return null;
+        if (entity === 'board') return this.projectManager.projects;
+
+        const project = this.projectManager.findProject(projectId);
+        if (!project) return null;
+        if (entity === 'task') return project.tasks.find(t => t.id === taskId) || null;
+
+        const { tasks, ...data } = project;
+        return data;
+    }
+
+    saveQueue() {
+        StorageManager.save('syncQueue', this.queue);
+        this.updateIndicator();
+    }
+
+    // Pulls and merges first so queued local edits are checked against remote ones
+    // before they are pushed
+    async sync() {
+        if (!this.serverUrl) return;
+        const startedAt = Date.now();
+        const pulled = await this.pull();
+        await this.flush();
+        if (pulled && this.queue.length === 0 && this.status === 'online') {
+            this.lastSyncAt = startedAt;
+            StorageManager.save('lastSyncAt', startedAt);
+        }
+    }
+
+    async flush() {
+        if (this.flushing || !this.serverUrl) return;
+        this.flushing = true;
+        this.setStatus('syncing');
+
+        let refused = false;
+        try {
+            while (this.queue.length > 0) {
+                const batch = this.takeBatch();
+                try {
+                    await this.sendBatch(batch);
+                } catch (error) {
+                    // A 4xx means the server refused the change itself (e.g. its project was
+                    // deleted elsewhere), so resending cannot help; it is dropped rather than
+                    // left to block everything queued behind it. Network errors and 5xx retry.
+                    if (!(error instanceof SyncError) || error.status >= 500) throw error;
+                    refused = true;
+                }
+                this.queue.splice(0, batch.length);
+                this.saveQueue();
+            }
+            this.setStatus('online');
+            if (refused) {
+                showToast('The sync server refused a change; its copy has been pulled instead', 'error');
+                await this.pull();
+            }
+        } catch (error) {
+            this.setStatus(error instanceof TypeError ? 'offline' : 'error');
+        } finally {
+            this.flushing = false;
+        }
+    }
+
+    // A task edit also logs to its project's activity feed. The project change and the task
+    // changes queued with it are taken together, to go out in one merge request.
+    takeBatch() {
+        const [first] = this.queue;
+        const batch = [];
+        for (const op of this.queue) {
+            if (op.entity === 'board' || op.action === 'delete' || op.projectId !== first.projectId) break;
+            batch.push(op);
+        }
+        return batch.some(op => op.entity === 'project') ? batch : [first];
+    }
+
+    sendBatch(batch) {
+        if (batch.length === 1) return this.send(batch[0]);
+        const project = this.snapshot({ entity: 'project', action: 'update', projectId: batch[0].projectId });
+        // The project was deleted again before it could be sent
+        if (!project) return Promise.resolve();
+        const tasks = batch.filter(op => op.entity === 'task').map(op => this.snapshot(op)).filter(Boolean);
+        return this.request('POST', '/api/projects', [{ ...project, tasks }]);
+    }
+
+    send(operation) {
+        const { entity, action, projectId, taskId } = operation;
+        const data = this.snapshot(operation);
+        if (entity === 'board') {
+            return this.request('POST', '/api/projects', data);
+        }
+
+        const path = entity === 'task'
+            ? `/api/projects/${encodeURIComponent(projectId)}/tasks/${encodeURIComponent(taskId)}`
+            : `/api/projects/${encodeURIComponent(projectId)}`;
+        if (action === 'delete') return this.request('DELETE', path);
+        // The record was deleted again before it could be sent
+        if (!data) return Promise.resolve();
+        return this.request('PUT', path, data);
+    }
+
+    async request(method, path, body) {
+        const response = await fetch(this.serverUrl + path, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        // 404 on a delete means someone else already removed it
+        if (!response.ok && !(method === 'DELETE' && response.status === 404)) {
+            throw new SyncError(`Sync request failed: ${method} ${path} (${response.status})`, response.status);
+        }
+        return response.status === 204 ? null : response.json();
+    }
+
+    async pull() {
+        try {
+            const projects = await this.request('GET', `/api/projects?user=${encodeURIComponent(StorageManager.userId)}`);
+            this.applyRemote(projects);
+            this.setStatus('online');
+            return true;
+        } catch (error) {
+            this.setStatus(error instanceof TypeError ? 'offline' : 'error');
+            return false;
+        }
+    }
+
+    // Only projects the user is a member of are taken in, as when loading from storage
+    applyRemote(remoteProjects) {
+        const local = this.projectManager.projects;
+        const visible = remoteProjects.filter(p => StorageManager.isMember(p));
+        const { projects, conflicts } = ConflictResolver.mergeProjects(local, visible, { base: this.lastSyncAt });
+        if (!ConflictResolver.sameProjects(projects, local)) {
+            this.applyingRemote = true;
+            try {
+                this.projectManager.replaceProjects(projects, 'pull');
+            } finally {
+                this.applyingRemote = false;
+            }
+            this.ui.refresh();
+        }
+        if (conflicts.length > 0) this.ui.showConflicts(conflicts);
+    }
+
+    setStatus(status) {
+        this.status = status;
+        this.updateIndicator();
+    }
+
+    updateIndicator() {
+        const indicator = document.getElementById('syncStatus');
+        if (!indicator) return;
+
+        const labels = {
+            disabled: 'Sync disabled',
+            online: 'Synced',
+            syncing: 'Syncing…',
+            offline: 'Offline – changes will sync on reconnect',
+            error: 'Sync error – will retry'
+        };
+        const pending = this.queue.length ? ` (${this.queue.length} pending)` : '';
+        indicator.className = `sync-status ${this.status}`;
+        indicator.title = labels[this.status] + pending;
+
+        const pendingEl = document.getElementById('syncPending');
+        if (pendingEl) pendingEl.textContent = indicator.title;
+    }
+}
+
+// Kanban Manager Class
+// Task fields the board can be split into horizontal lanes by
+const KANBAN_SWIMLANES = {
+    none: null,
+    project: 'projectId',
+    assignee: 'assignee',
+    priority: 'priority'
+};
+
+// Touch drags start only after a long press, so a swipe over cards and bars still scrolls.
+// Once one has started, the touch no longer scrolls the page.
+const LONG_PRESS_MS = 400;
+
+// Keyboard moves for a picked-up card, as [columns, positions]
+const KANBAN_ARROW_KEYS = {
+    ArrowLeft: [-1, 0],
+    ArrowRight: [1, 0],
+    ArrowUp: [0, -1],
+    ArrowDown: [0, 1]
+};
+
+class KanbanManager {
+    constructor(taskManager, historyManager) {
+        this.taskManager = taskManager;
+        this.historyManager = historyManager;
+        // The UIController drawing the board, given to init() as it is created after this
+        this.ui = null;
+        // The task being moved by pointer or keyboard; views hold off refreshing meanwhile
+        this.draggedTask = null;
+        this.pointer = null;
+        this.grabbed = null;
+        this.listening = false;
+    }
+
+    init(ui) {
+        this.ui = ui;
+    }
+
+    // Lanes for the chosen swimlane field. Each lane holds the tasks whose field equals its value.
+    getLanes(projects, tasks, swimlane) {
+        const field = KANBAN_SWIMLANES[swimlane];
+        if (field === 'projectId') {
+            return projects.map(p => ({ field, value: p.id, label: p.name }));
+        }
+        if (field === 'priority') {
+            return ['High', 'Medium', 'Low'].map(value => ({ field, value, label: `${value} priority` }));
+        }
+        if (field === 'assignee') {
+            const assignees = [...new Set(tasks.map(t => t.assignee).filter(Boolean))].sort();
+            return [...assignees, ''].map(value => ({ field, value, label: value || 'Unassigned' }));
+        }
+        return [{ field: null, value: '', label: '' }];
+    }
+
+    getLaneTasks(tasks, lane) {
+        if (!lane.field) return tasks;
+        return tasks.filter(t => (t[lane.field] || '') === lane.value);
+    }
+
+    // A rank that sorts between two neighbouring cards; either may be missing
+    static rankBetween(before, after) {
+        if (before && after) return (before.rank + after.rank) / 2;
+        if (before) return before.rank + 1;
+        if (after) return after.rank - 1;
+        return Date.now();
+    }
+
+    // The card the dragged one should be placed before, going by the pointer's height
+    getCardAfter(column, y) {
+        const cards = [...column.querySelectorAll('.task-card:not(.dragging)')];
+        return cards.find(card => {
+            const box = card.getBoundingClientRect();
+            return y < box.top + box.height / 2;
+        }) || null;
+    }
+
+    getCardTask(card) {
+        return card ? this.taskManager.getTask(card.dataset.projectId, card.dataset.taskId) : null;
+    }
+
+    // Columns for a board showing one or more projects: each workflow's columns merged by
+    // name, in order of first appearance. WIP limits only apply to a single project's board.
+    getColumns(projects) {
+        const columns = [];
+        projects.forEach(project => project.workflow.forEach(column => {
+            const existing = columns.find(c => c.name === column.name);
+            if (!existing) {
+                columns.push({ ...column, wipLimit: projects.length === 1 ? column.wipLimit : 0 });
+            } else if (column.done) {
+                existing.done = true;
+            }
+        }));
+        return columns;
+    }
+
+    // Tasks whose status is no longer a column of their project show in its first column
+    getColumnTasks(tasks, status) {
+        return tasks.filter(task => {
+            const project = this.taskManager.projectManager.getProject(task.projectId);
+            const column = project.getColumn(task.status) ? task.status : project.getStartStatus();
+            return column === status;
+        }).sort((a, b) => a.rank - b.rank);
+    }
+
+    // Why a task can't be dropped into a column, or null if it can. `targetProjectId` is
+    // set when the drop also moves the task into another project's lane.
+    getDropError(projectId, taskId, status, targetProjectId = projectId) {
+        const project = this.taskManager.projectManager.getProject(targetProjectId);
+        const column = project && project.getColumn(status);
+        if (!column) return `${project ? project.name : 'This project'} has no "${status}" column`;
+
+        const task = this.taskManager.getTask(projectId, taskId);
+        const moving = targetProjectId !== projectId || task.status !== status;
+        return moving ? this.taskManager.getWipLimitError(targetProjectId, status, taskId) : null;
+    }
+
+    // Cards are moved with pointer events, so mouse, touch and pen all work, or from the
+    // keyboard: Space picks a focused card up, the arrow keys move it and Space drops it.
+    // Either way the move is previewed in the DOM and saved on drop.
+    setupDragAndDrop() {
+        // Listeners are delegated on document, so attach them only once
+        if (this.listening) return;
+        this.listening = true;
+
+        document.addEventListener('pointerdown', (e) => {
+            const card = e.target.closest('.task-card');
+            if (!card || card.dataset.editable !== 'true' || e.button !== 0 || e.target.closest('button')) return;
+            const heldAt = e.pointerType === 'touch' ? Date.now() + LONG_PRESS_MS : 0;
+            this.pointer = { card, startX: e.clientX, startY: e.clientY, placeholder: null, heldAt };
+        });
+
+        document.addEventListener('pointermove', (e) => {
+            const drag = this.pointer;
+            if (!drag) return;
+            // A small threshold keeps clicks and taps from turning into drags
+            if (!drag.placeholder) {
+                if (Math.hypot(e.clientX - drag.startX, e.clientY - drag.startY) < 5) return;
+                if (Date.now() < drag.heldAt) {
+                    this.pointer = null;
+                    return;
+                }
+                this.startPointerDrag(drag);
+            }
+            e.preventDefault();
+            drag.card.style.transform = `translate(${e.clientX - drag.startX}px, ${e.clientY - drag.startY}px)`;
+
+            const under = document.elementFromPoint(e.clientX, e.clientY);
+            const column = under && under.closest('.kanban-tasks');
+            const project = under && under.closest('.sidebar-project');
+            document.querySelectorAll('.kanban-tasks.drag-over, .sidebar-project.drag-over').forEach(c => {
+                if (c !== column && c !== project) c.classList.remove('drag-over');
+            });
+            drag.targetProjectId = project ? project.dataset.projectId : null;
+            if (project) {
+                project.classList.add('drag-over');
+            } else if (column) {
+                column.classList.add('drag-over');
+                column.insertBefore(drag.placeholder, this.getCardAfter(column, e.clientY));
+            }
+        });
+
+        document.addEventListener('pointerup', () => {
+            const drag = this.pointer;
+            this.pointer = null;
+            if (!drag || !drag.placeholder) return;
+            this.draggedTask = null;
+            if (drag.targetProjectId) {
+                this.dropOnProject(drag.card, drag.targetProjectId);
+            } else {
+                this.commitMove(drag.card, drag.placeholder, drag.origin);
+            }
+        });
+
+        document.addEventListener('pointercancel', () => {
+            const drag = this.pointer;
+            this.pointer = null;
+            if (!drag || !drag.placeholder) return;
+            this.draggedTask = null;
+            this.ui.renderKanbanBoard();
+        });
+
+        document.addEventListener('touchmove', (e) => {
+            if (this.pointer && this.pointer.heldAt && Date.now() >= this.pointer.heldAt) e.preventDefault();
+        }, { passive: false });
+
+        document.addEventListener('keydown', (e) => {
+            const card = e.target;
+            if (!(card instanceof Element) || !card.matches('.task-card')) return;
+
+            if (e.key === ' ') {
+                e.preventDefault();
+                if (this.grabbed && this.grabbed.card === card) {
+                    this.dropGrabbed();
+                } else {
+                    if (this.grabbed) this.cancelGrabbed();
+                    this.grab(card);
+                }
+            } else if (this.grabbed && e.key === 'Escape') {
+                e.preventDefault();
+                this.cancelGrabbed();
+            } else if (this.grabbed && KANBAN_ARROW_KEYS[e.key]) {
+                e.preventDefault();
+                this.moveGrabbed(...KANBAN_ARROW_KEYS[e.key]);
+            }
+        });
+    }
+
+    startPointerDrag(drag) {
+        const { card } = drag;
+        const box = card.getBoundingClientRect();
+        drag.origin = this.positionOf(card);
+        drag.placeholder = document.createElement('div');
+        drag.placeholder.className = 'kanban-placeholder';
+        drag.placeholder.style.height = `${box.height}px`;
+        card.before(drag.placeholder);
+        // Taken out of the column's flow so it can follow the pointer
+        Object.assign(card.style, { position: 'fixed', left: `${box.left}px`, top: `${box.top}px`, width: `${box.width}px` });
+        card.classList.add('dragging');
+        this.draggedTask = { projectId: card.dataset.projectId, taskId: card.dataset.taskId };
+    }
+
+    grab(card) {
+        const task = this.getCardTask(card);
+        if (card.dataset.editable !== 'true') {
+            announce(`${task.name} can't be moved`);
+            return;
+        }
+        this.grabbed = { card, origin: this.positionOf(card) };
+        this.draggedTask = { projectId: task.projectId, taskId: task.id };
+        card.classList.add('grabbed');
+        card.setAttribute('aria-pressed', 'true');
+        announce(`Picked up ${task.name}. ${this.describePosition(card)}. Use the arrow keys to move it, Space to drop it or Escape to cancel.`);
+    }
+
+    // Left and right change column; up and down change position, continuing into the
+    // neighbouring lane past the top or bottom of a column
+    moveGrabbed(dx, dy) {
+        const { card } = this.grabbed;
+        const column = card.closest('.kanban-tasks');
+        const grid = [...document.querySelectorAll('.kanban-lane')].map(lane => [...lane.querySelectorAll('.kanban-tasks')]);
+        const laneIndex = grid.findIndex(columns => columns.includes(column));
+        const columnIndex = grid[laneIndex].indexOf(column);
+        const cards = this.getCards(column);
+        const index = cards.indexOf(card);
+
+        if (dx) {
+            const target = grid[laneIndex][columnIndex + dx];
+            if (!target) return;
+            target.insertBefore(card, this.getCards(target)[index] || null);
+        } else if (dy < 0 && index > 0) {
+            column.insertBefore(card, cards[index - 1]);
+        } else if (dy > 0 && index < cards.length - 1) {
+            column.insertBefore(card, cards[index + 1].nextElementSibling);
+        } else {
+            const lane = grid[laneIndex + dy];
+            if (!lane) return;
+            const target = lane[columnIndex];
+            target.insertBefore(card, dy > 0 ? target.firstElementChild : null);
+        }
+
+        card.focus();
+        announce(`${this.getCardTask(card).name}: ${this.describePosition(card)}`);
+    }
+
+    dropGrabbed() {
+        const { card, origin } = this.grabbed;
+        this.grabbed = null;
+        this.draggedTask = null;
+        this.commitMove(card, card, origin);
+        this.focusCard(card.dataset.taskId);
+    }
+
+    cancelGrabbed() {
+        const { card } = this.grabbed;
+        this.grabbed = null;
+        this.draggedTask = null;
+        this.ui.renderKanbanBoard();
+        this.focusCard(card.dataset.taskId);
+        announce(`Move cancelled. ${this.getCardTask(card).name} is back where it was.`);
+    }
+
+    focusCard(taskId) {
+        const card = document.querySelector(`.task-card[data-task-id="${taskId}"]`);
+        if (card) card.focus();
+    }
+
+    getCards(column) {
+        return [...column.querySelectorAll('.task-card:not(.dragging), .kanban-placeholder')];
+    }
+
+    // The closest card in a direction, skipping the one being dragged and its placeholder
+    siblingCard(element, direction) {
+        let sibling = element[direction];
+        while (sibling && (!sibling.matches('.task-card') || sibling.classList.contains('dragging'))) {
+            sibling = sibling[direction];
+        }
+        return sibling;
+    }
+
+    positionOf(marker) {
+        return {
+            column: marker.closest('.kanban-tasks'),
+            before: this.siblingCard(marker, 'previousElementSibling'),
+            after: this.siblingCard(marker, 'nextElementSibling')
+        };
+    }
+
+    describePosition(marker) {
+        const column = marker.closest('.kanban-tasks');
+        const cards = this.getCards(column);
+        const lane = marker.closest('.kanban-lane').querySelector('.kanban-lane-title');
+        return `${column.dataset.status}, position ${cards.indexOf(marker) + 1} of ${cards.length}` +
+            (lane ? `, in lane ${lane.textContent}` : '');
+    }
+
+    // Saves a move previewed in the DOM: `marker` (the card itself or its placeholder) is
+    // where the card should land and `origin` where it started
+    commitMove(card, marker, origin) {
+        const task = this.getCardTask(card);
+        const position = this.positionOf(marker);
+        const description = this.describePosition(marker);
+        if (position.column === origin.column && position.before === origin.before && position.after === origin.after) {
+            this.ui.renderKanbanBoard();
+            announce(`${task.name} dropped where it was`);
+            return false;
+        }
+
+        const error = this.moveCard(task.projectId, task.id, {
+            status: position.column.dataset.status,
+            lane: position.column.dataset.lane,
+            laneValue: position.column.dataset.laneValue,
+            rank: KanbanManager.rankBetween(this.getCardTask(position.before), this.getCardTask(position.after))
+        });
+        this.ui.renderKanbanBoard();
+        if (error) {
+            announce(`${task.name} could not be moved: ${error}`);
+        } else {
+            showToast('Task moved', 'success');
+            announce(`${task.name} dropped in ${description}`);
+        }
+        return !error;
+    }
+
+    // A card dropped on a project in the sidebar moves to that project, keeping its column
+    // if the project's workflow has one of the same name
+    dropOnProject(card, targetProjectId) {
+        const task = this.getCardTask(card);
+        const target = this.taskManager.projectManager.getProject(targetProjectId);
+        document.querySelectorAll('.sidebar-project.drag-over').forEach(item => item.classList.remove('drag-over'));
+        if (!target || target.id === task.projectId) {
+            this.ui.renderKanbanBoard();
+            announce(`${task.name} dropped where it was`);
+            return false;
+        }
+
+        const status = target.getColumn(task.status) ? task.status : target.getStartStatus();
+        const dropError = this.getDropError(task.projectId, task.id, status, targetProjectId);
+        if (dropError) showToast(dropError, 'error');
+        const error = dropError || this.ui.attempt(() => this.taskManager.moveTask(task.projectId, task.id, targetProjectId));
+        this.ui.renderKanbanBoard();
+        if (error) {
+            announce(`${task.name} could not be moved: ${error}`);
+        } else {
+            showToast(`Task moved to ${target.name}`, 'success', this.ui.undoAction());
+            announce(`${task.name} moved to ${target.name}`);
+        }
+        return !error;
+    }
+
+    // Applies a drop: the column sets the status, the lane sets its field and the
+    // neighbouring cards set the rank. Returns why the task couldn't be moved, or null.
+    moveCard(projectId, taskId, { status, lane, laneValue, rank }) {
+        const targetProjectId = lane === 'projectId' ? laneValue : projectId;
+        const dropError = this.getDropError(projectId, taskId, status, targetProjectId);
+        if (dropError) {
+            showToast(dropError, 'error');
+            return dropError;
+        }
+
+        const changes = { status, rank };
+        if (lane && lane !== 'projectId') changes[lane] = laneValue;
+        // Moving a blocked task forward is refused by the task manager and explained in a toast.
+        // The update is checked before a move to another project, so a refusal leaves the
+        // task where it was, and both are saved together.
+        const projectManager = this.taskManager.projectManager;
+        return this.ui.attempt(() => this.historyManager.record('Move card', () => projectManager.batch(() => {
+            if (targetProjectId !== projectId) {
+                const target = projectManager.getProject(targetProjectId);
+                const task = this.taskManager.getTask(projectId, taskId);
+                // A moved task leaves its dependencies behind
+                this.taskManager.assertUpdate(target, { ...task, dependsOn: [] }, { ...changes, dependsOn: [] });
+            }
+            this.taskManager.moveTask(projectId, taskId, targetProjectId, status);
+            this.taskManager.updateTask(targetProjectId, taskId, changes);
+        })));
+    }
+}
+
+// Calendar Manager Class
+class CalendarManager {
+    constructor(taskManager) {
+        this.taskManager = taskManager;
+        this.currentDate = new Date();
+    }
+
+    getMonthData(year, month) {
+        const firstDay = new Date(year, month, 1);
+        const lastDay = new Date(year, month + 1, 0);
+        const prevLastDay = new Date(year, month, 0);
+        
+        const firstDayOfWeek = firstDay.getDay();
+        const daysInMonth = lastDay.getDate();
+        const daysInPrevMonth = prevLastDay.getDate();
+        
+        const days = [];
+        
+        // Previous month days
+        for (let i = firstDayOfWeek - 1; i >= 0; i--) {
+            days.push({
+                day: daysInPrevMonth - i,
+                month: month - 1,
+                year: month === 0 ? year - 1 : year,
+                isCurrentMonth: false
+            });
+        }
+        
+        // Current month days
+        for (let i = 1; i <= daysInMonth; i++) {
+            days.push({
+                day: i,
+                month: month,
+                year: year,
+                isCurrentMonth: true
+            });
+        }
+        
+        // Next month days
+        const remainingDays = 42 - days.length;
+        for (let i = 1; i <= remainingDays; i++) {
+            days.push({
+                day: i,
+                month: month + 1,
+                year: month === 11 ? year + 1 : year,
+                isCurrentMonth: false
+            });
+        }
+        
+        return days;
+    }
+
+    getTasksForDate(date) {
+        const day = formatDay(date);
+        return this.getTasksByDay(day, day).get(day) || [];
+    }
+
+    // Tasks due between two days (inclusive), keyed by day. Later occurrences of repeating
+    // tasks are shown without being created; each task's rule is expanded once per range.
+    getTasksByDay(from, to) {
+        const byDay = new Map();
+        const add = (day, task) => byDay.set(day, [...(byDay.get(day) || []), task]);
+        const allTasks = this.taskManager.getAllTasks();
+        allTasks.filter(task => task.dueDate >= from && task.dueDate <= to).forEach(task => add(task.dueDate, task));
+        allTasks.filter(task => task.recurrence && !task.completed && task.dueDate && task.dueDate <= to).forEach(task => {
+            Recurrence.upcoming(task, to).filter(day => day >= from).forEach(day => {
+                add(day, Object.assign(Object.create(Task.prototype), task, { dueDate: day, upcoming: true }));
+            });
+        });
+        return byDay;
+    }
+
+    nextMonth() {
+        this.currentDate.setMonth(this.currentDate.getMonth() + 1);
+    }
+
+    prevMonth() {
+        this.currentDate.setMonth(this.currentDate.getMonth() - 1);
+    }
+
+    getCurrentMonth() {
+        return this.currentDate.getMonth();
+    }
+
+    getCurrentYear() {
+        return this.currentDate.getFullYear();
+    }
+}
+
+// Timeline Manager Class
+// Lays projects and their tasks out as bars on a shared date axis, in whole days.
+const TIMELINE_ZOOMS = {
+    day: { dayWidth: 36 },
+    week: { dayWidth: 12 },
+    month: { dayWidth: 4 }
+};
+const TIMELINE_ROW_HEIGHT = 36;
+
+class TimelineManager {
+    constructor(taskManager) {
+        this.taskManager = taskManager;
+        // The UIController drawing the timeline, given to init() as it is created after this
+        this.ui = null;
+        this.zoom = 'week';
+        this.drag = null;
+        this.listening = false;
+    }
+
+    init(ui) {
+        this.ui = ui;
+    }
+
+    // A task with only one of its dates set is shown as a single day
+    getTaskSpan(task) {
+        const start = task.startDate || task.dueDate;
+        const end = task.dueDate || task.startDate;
+        if (!start) return null;
+        return { start: parseDay(start), end: parseDay(end) };
+    }
+
+    getProjectSpan(project) {
+        const spans = project.getTasks().map(t => this.getTaskSpan(t)).filter(Boolean);
+        if (project.deadline) {
+            const deadline = parseDay(project.deadline);
+            spans.push({ start: deadline, end: deadline });
+        }
+        if (spans.length === 0) return null;
+        return {
+            start: new Date(Math.min(...spans.map(s => s.start))),
+            end: new Date(Math.max(...spans.map(s => s.end)))
+        };
+    }
+
+    // One row per project followed by one per task, each with its span (or null if undated)
+    getRows(projects) {
+        return projects.flatMap(project => [
+            { type: 'project', project, span: this.getProjectSpan(project) },
+            ...project.getTasks().map(task => ({ type: 'task', project, task, span: this.getTaskSpan(task) }))
+        ]);
+    }
+
+    // The visible date range: every bar plus some padding, aligned to the zoom's ticks
+    getRange(rows) {
+        const spans = rows.map(r => r.span).filter(Boolean);
+        const today = parseDay(formatDay(new Date()));
+        let start = spans.length ? new Date(Math.min(...spans.map(s => s.start))) : today;
+        let end = spans.length ? new Date(Math.max(...spans.map(s => s.end))) : addDays(today, 30);
+
+        start = addDays(start, -7);
+        end = addDays(end, 14);
+        if (this.zoom === 'week') {
+            start = addDays(start, -((start.getDay() + 6) % 7));
+        } else if (this.zoom === 'month') {
+            start = new Date(start.getFullYear(), start.getMonth(), 1);
+            end = new Date(end.getFullYear(), end.getMonth() + 1, 0);
+        }
+        return { start, days: daysBetween(start, end) + 1 };
+    }
+
+    // Labelled marks along the axis: every day, every Monday or every first of the month
+    getTicks(range) {
+        const ticks = [];
+        for (let i = 0; i < range.days; i++) {
+            const date = addDays(range.start, i);
+            if (this.zoom === 'day') {
+                ticks.push({ offset: i, label: date.getDate() === 1 || i === 0
+                    ? date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' })
+                    : String(date.getDate()) });
+            } else if (this.zoom === 'week' && date.getDay() === 1) {
+                ticks.push({ offset: i, label: date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' }) });
+            } else if (this.zoom === 'month' && date.getDate() === 1) {
+                ticks.push({ offset: i, label: date.toLocaleDateString(undefined, { month: 'short', year: 'numeric' }) });
+            }
+        }
+        return ticks;
+    }
+
+    getDayWidth() {
+        return TIMELINE_ZOOMS[this.zoom].dayWidth;
+    }
+
+    setZoom(zoom) {
+        if (!TIMELINE_ZOOMS[zoom]) return;
+        this.zoom = zoom;
+        StorageManager.save('timelineZoom', zoom);
+    }
+
+    // Bars are moved by dragging their body and resized by their edge handles. The change
+    // is previewed while dragging and saved through TaskManager on release, snapped to days.
+    setupDragging() {
+        if (this.listening) return;
+        this.listening = true;
+
+        document.addEventListener('pointerdown', (e) => {
+            const bar = e.target.closest('.timeline-bar[data-task-id]');
+            if (!bar || bar.dataset.editable !== 'true' || e.button !== 0) return;
+            e.preventDefault();
+            const handle = e.target.closest('.timeline-handle');
+            this.drag = {
+                bar,
+                mode: handle ? handle.dataset.edge : 'move',
+                startX: e.clientX,
+                startY: e.clientY,
+                left: bar.offsetLeft,
+                width: bar.offsetWidth,
+                days: 0,
+                // Resize handles drag at once; the bar itself needs a long press on touch
+                heldAt: e.pointerType === 'touch' && !handle ? Date.now() + LONG_PRESS_MS : 0
+            };
+            bar.classList.add('dragging');
+        });
+
+        document.addEventListener('touchmove', (e) => {
+            if (this.drag && Date.now() >= this.drag.heldAt) e.preventDefault();
+        }, { passive: false });
+
+        document.addEventListener('pointercancel', () => {
+            if (!this.drag) return;
+            this.drag.bar.classList.remove('dragging');
+            this.drag = null;
+            this.ui.refresh();
+        });
+
+        document.addEventListener('pointermove', (e) => {
+            if (!this.drag) return;
+            const { bar, mode, left, width } = this.drag;
+            // Moving before the long press is up scrolls the timeline instead
+            if (Date.now() < this.drag.heldAt) {
+                if (Math.hypot(e.clientX - this.drag.startX, e.clientY - this.drag.startY) < 5) return;
+                bar.classList.remove('dragging');
+                this.drag = null;
+                return;
+            }
+            const dayWidth = this.getDayWidth();
+            let days = Math.round((e.clientX - this.drag.startX) / dayWidth);
+            // A bar can't be resized past its other end
+            const spanDays = Math.round(width / dayWidth) - 1;
+            if (mode === 'start') days = Math.min(days, spanDays);
+            if (mode === 'end') days = Math.max(days, -spanDays);
+            this.drag.days = days;
+
+            const shift = days * dayWidth;
+            if (mode === 'move') bar.style.left = `${left + shift}px`;
+            if (mode === 'start') {
+                bar.style.left = `${left + shift}px`;
+                bar.style.width = `${width - shift}px`;
+            }
+            if (mode === 'end') bar.style.width = `${width + shift}px`;
+        });
+
+        document.addEventListener('pointerup', () => {
+            if (!this.drag) return;
+            const { bar, mode, days } = this.drag;
+            this.drag = null;
+            bar.classList.remove('dragging');
+            if (days === 0) return;
+
+            const { projectId, taskId } = bar.dataset;
+            const span = this.getTaskSpan(this.taskManager.getTask(projectId, taskId));
+            const start = mode === 'end' ? span.start : addDays(span.start, days);
+            const end = mode === 'start' ? span.end : addDays(span.end, days);
+            const moved = this.ui.guard(() => this.taskManager.updateTask(projectId, taskId, {
+                startDate: formatDay(start),
+                dueDate: formatDay(end)
+            }));
+            this.ui.refresh();
+            if (moved) showToast('Task dates updated', 'success');
+        });
+    }
+}
+
+// Search Manager Class
+// Queries mix free text with field filters, e.g.
+//   status:"In Progress" priority:high assignee:alex due:<2026-11-01 project:Website -tag:wip
+// A leading "-" excludes matches, and due: takes <, <=, >, >= or = before the date (or
+// "today"). Tags are #hashtags in a name or description. Free text is looked up by word
+// prefix in an inverted index, which each change event updates for just the record touched.
+const SEARCH_FIELDS = ['status', 'priority', 'assignee', 'due', 'project', 'tag'];
+const SEARCH_PALETTE_LIMIT = 8;
+
+class SearchManager {
+    constructor(projectManager) {
+        this.projectManager = projectManager;
+        this.index = new Map();
+        // The indexed words in sorted order, so the words sharing a prefix sit together
+        this.words = [];
+        this.documents = new Map();
+    }
+
+    init() {
+        this.projectManager.onChange(change => this.update(change));
+        this.projectManager.onReload(() => this.rebuild());
+    }
+
+    static tokenize(text) {
+        return String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    }
+
+    static parse(query) {
+        const terms = [];
+        const filters = [];
+        for (const [, minus, field, quoted, bare] of query.matchAll(/(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi)) {
+            const negate = minus === '-';
+            let value = (quoted === undefined ? bare : quoted).trim().toLowerCase();
+            const name = field && field.toLowerCase();
+            if (!SEARCH_FIELDS.includes(name)) {
+                SearchManager.tokenize(field ? `${field} ${value}` : value).forEach(word => terms.push({ word, negate }));
+                continue;
+            }
+            let op = '=';
+            if (name === 'due') {
+                [, op = '=', value] = value.match(/^(<=|>=|<|>|=)?(.*)$/);
+                if (value === 'today') value = formatDay(new Date());
+            }
+            if (name === 'tag') value = value.replace(/^#/, '');
+            if (value) filters.push({ field: name, op, value, negate });
+        }
+        return { terms, filters };
+    }
+
+    static documentKey(projectId, taskId) {
+        return taskId ? `task:${projectId}:${taskId}` : `project:${projectId}`;
+    }
+
+    rebuild() {
+        this.index.clear();
+        this.words = [];
+        this.documents.clear();
+        this.projectManager.projects.forEach(project => this.indexProject(project, true));
+    }
+
+    update({ entity, projectId, taskId }) {
+        if (entity === 'board') {
+            this.rebuild();
+            return;
+        }
+        const project = this.projectManager.findProject(projectId);
+        if (entity === 'project') {
+            if (project) {
+                this.indexProject(project, !this.documents.has(SearchManager.documentKey(projectId)));
+            } else {
+                [...this.documents.keys()]
+                    .filter(key => key === SearchManager.documentKey(projectId) || key.startsWith(`task:${projectId}:`))
+                    .forEach(key => this.remove(key));
+            }
+            return;
+        }
+        const task = project && project.tasks.find(t => t.id === taskId);
+        if (task) {
+            this.add(SearchManager.documentKey(projectId, taskId), { projectId, taskId }, this.taskText(task));
+        } else {
+            this.remove(SearchManager.documentKey(projectId, taskId));
+        }
+    }
+
+    indexProject(project, withTasks) {
+        this.add(SearchManager.documentKey(project.id), { projectId: project.id, taskId: null },
+            [project.name, project.description].join(' '));
+        if (!withTasks) return;
+        project.tasks.forEach(task =>
+            this.add(SearchManager.documentKey(project.id, task.id), { projectId: project.id, taskId: task.id }, this.taskText(task)));
+    }
+
+    taskText(task) {
+        return [
+            task.name,
+            task.description,
+            task.assignee,
+            ...task.checklist.map(item => item.text),
+            ...task.comments.map(comment => comment.text)
+        ].join(' ');
+    }
+
+    add(key, target, text) {
+        this.remove(key);
+        const words = new Set(SearchManager.tokenize(text));
+        this.documents.set(key, { ...target, words });
+        words.forEach(word => {
+            if (!this.index.has(word)) {
+                this.index.set(word, new Set());
+                this.words.splice(this.position(word), 0, word);
+            }
+            this.index.get(word).add(key);
+        });
+    }
+
+    remove(key) {
+        const doc = this.documents.get(key);
+        if (!doc) return;
+        doc.words.forEach(word => {
+            const keys = this.index.get(word);
+            keys.delete(key);
+            if (keys.size === 0) {
+                this.index.delete(word);
+                this.words.splice(this.position(word), 1);
+            }
+        });
+        this.documents.delete(key);
+    }
+
+    // Where `word` is or would go in the sorted word list (binary search)
+    position(word) {
+        let low = 0;
+        let high = this.words.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (this.words[middle] < word) low = middle + 1;
+            else high = middle;
+        }
+        return low;
+    }
+
+    // Keys of the documents with a word starting with `prefix`
+    lookup(prefix) {
+        const keys = new Set();
+        for (let i = this.position(prefix); i < this.words.length && this.words[i].startsWith(prefix); i++) {
+            this.index.get(this.words[i]).forEach(key => keys.add(key));
+        }
+        return keys;
+    }
+
+    // Matching projects and tasks, skipping anything in the trash
+    search(query) {
+        const { terms, filters } = SearchManager.parse(query);
+        let keys = null;
+        terms.filter(t => !t.negate).forEach(({ word }) => {
+            const found = this.lookup(word);
+            keys = keys ? new Set([...keys].filter(key => found.has(key))) : found;
+        });
+        keys = [...(keys || this.documents.keys())];
+        terms.filter(t => t.negate).forEach(({ word }) => {
+            const found = this.lookup(word);
+            keys = keys.filter(key => !found.has(key));
+        });
+
+        const results = { projects: [], tasks: [] };
+        keys.forEach(key => {
+            const { projectId, taskId } = this.documents.get(key);
+            const project = this.projectManager.getProject(projectId);
+            if (!project) return;
+            const task = taskId ? project.getTasks().find(t => t.id === taskId) : null;
+            if (taskId && !task) return;
+            if (!filters.every(filter => this.matches(project, task, filter) !== filter.negate)) return;
+            if (task) {
+                results.tasks.push(task);
+            } else {
+                results.projects.push(project);
+            }
+        });
+        return results;
     }
 
-    getProject(id) {
-        return this.projects.find(p => p.id === id);
+    matches(project, task, { field, op, value }) {
+        const record = task || project;
+        const lower = (text) => String(text || '').toLowerCase();
+        switch (field) {
+            case 'status':
+            case 'priority':
+                return lower(record[field]) === value;
+            case 'assignee':
+                return Boolean(task) && lower(task.assignee).includes(value);
+            case 'project':
+                return lower(project.name).includes(value);
+            case 'tag':
+                return new RegExp(`#${escapeRegExp(value)}(?![\\p{L}\\p{N}_-])`, 'u').test(lower(`${record.name} ${record.description}`));
+            case 'due': {
+                const date = task ? task.dueDate : project.deadline;
+                if (!date) return false;
+                const day = date.slice(0, 10);
+                return { '<': day < value, '<=': day <= value, '>': day > value, '>=': day >= value, '=': day === value }[op];
+            }
+        }
+        return false;
     }
+}
 
-    getAllProjects() {
-        return this.projects;
-    }
+// Auth Manager Class
+// Local accounts with salted PBKDF2 password hashes (Web Crypto). Logging in creates a
+// session token with an expiry; only that token is kept in localStorage.
+const PBKDF2_ITERATIONS = 310000;
+const SESSION_TTL = 12 * 60 * 60 * 1000;
+const USER_ROLES = ['member', 'admin'];
 
-    getStats() {
-        const total = this.projects.length;
-        const active = this.projects.filter(p => p.status === 'Active').length;
-        const completed = this.projects.filter(p => p.status === 'Completed').length;
-        const onHold = this.projects.filter(p => p.status === 'On Hold').length;
-        
-        return { total, active, completed, onHold };
+class AuthManager {
+    constructor() {
+        this.users = StorageManager.loadGlobal('users') || [];
+        this.sessions = (StorageManager.loadGlobal('sessions') || []).filter(s => s.expiresAt > Date.now());
+        this.currentUser = null;
     }
-}
 
-// Task Manager Class
-class TaskManager {
-    constructor(projectManager) {
-        this.projectManager = projectManager;
+    async init() {
+        // Older versions stored the whole user object, password included
+        StorageManager.removeGlobal('currentUser');
+        this.currentUser = this.restoreSession();
     }
 
-    createTask(projectId, name, description, status, priority, dueDate, assignee) {
-        const id = Date.now().toString();
-        const task = new Task(id, projectId, name, description, status, priority, dueDate, assignee);
-        const project = this.projectManager.getProject(projectId);
-        if (project) {
-            project.tasks.push(task);
-            this.projectManager.saveProjects();
-        }
-        return task;
+    // Web Crypto is only available on secure origins (https and localhost)
+    static isSupported() {
+        return Boolean(window.crypto && crypto.subtle);
     }
 
-    updateTask(projectId, taskId, data) {
-        const project = this.projectManager.getProject(projectId);
-        if (project) {
-            const task = project.tasks.find(t => t.id === taskId);
-            if (task) {
-                Object.assign(task, data);
-                task.completed = data.status === 'Done';
-                this.projectManager.saveProjects();
-                return task;
-            }
-        }
-        return null;
+    // No accounts exist until the first administrator registers
+    needsSetup() {
+        return this.users.length === 0;
     }
 
-    deleteTask(projectId, taskId) {
-        const project = this.projectManager.getProject(projectId);
-        if (project) {
-            project.tasks = project.tasks.filter(t => t.id !== taskId);
-            this.projectManager.saveProjects();
-        }
+    static toHex(bytes) {
+        return [...new Uint8Array(bytes)].map(b => b.toString(16).padStart(2, '0')).join('');
     }
 
-    getTask(projectId, taskId) {
-        const project = this.projectManager.getProject(projectId);
-        return project ? project.tasks.find(t => t.id === taskId) : null;
+    static randomHex(length) {
+        return AuthManager.toHex(crypto.getRandomValues(new Uint8Array(length)));
     }
 
-    getAllTasks() {
-        return this.projectManager.projects.flatMap(p => 
-            p.tasks.map(t => ({ ...t, projectName: p.name }))
+    async hashPassword(password, salt, iterations = PBKDF2_ITERATIONS) {
+        const encoder = new TextEncoder();
+        const key = await crypto.subtle.importKey('raw', encoder.encode(password), 'PBKDF2', false, ['deriveBits']);
+        const bits = await crypto.subtle.deriveBits(
+            { name: 'PBKDF2', hash: 'SHA-256', salt: encoder.encode(salt), iterations },
+            key,
+            256
         );
+        return AuthManager.toHex(bits);
     }
 
-    getTasksByStatus(status) {
-        return this.getAllTasks().filter(t => t.status === status);
+    saveUsers() {
+        StorageManager.saveGlobal('users', this.users);
     }
 
-    getOverdueTasks() {
-        return this.getAllTasks().filter(t => {
-            if (!t.dueDate || t.completed) return false;
-            return new Date(t.dueDate) < new Date();
-        });
+    saveSessions() {
+        StorageManager.saveGlobal('sessions', this.sessions);
     }
 
-    getPendingTasks() {
-        return this.getAllTasks().filter(t => !t.completed);
+    findUser(username) {
+        return this.users.find(u => u.username.toLowerCase() === username.trim().toLowerCase());
     }
 
-    getStats() {
-        const allTasks = this.getAllTasks();
-        const pending = allTasks.filter(t => !t.completed).length;
-        const overdue = this.getOverdueTasks().length;
-        const completed = allTasks.filter(t => t.completed).length;
-        const toDo = allTasks.filter(t => t.status === 'To Do').length;
-        const inProgress = allTasks.filter(t => t.status === 'In Progress').length;
-        
-        return { pending, overdue, completed, toDo, inProgress, total: allTasks.length };
+    // The shape handed to the rest of the app: never includes the hash or salt
+    publicUser(user) {
+        const { id, username, name, role } = user;
+        return { id, username, name, role };
     }
-}
 
-// Kanban Manager Class
-class KanbanManager {
-    constructor(taskManager) {
-        this.taskManager = taskManager;
-        this.draggedTask = null;
-    }
+    async createUser(username, password, name, role = 'member') {
+        if (!USER_ROLES.includes(role)) throw new Error(`Unknown role: ${role}`);
+        if (this.findUser(username)) throw new Error('That username is already taken');
 
-    setupDragAndDrop() {
-        document.addEventListener('dragstart', (e) => {
-            if (e.target.classList.contains('task-card')) {
-                e.target.classList.add('dragging');
-                this.draggedTask = {
-                    projectId: e.target.dataset.projectId,
-                    taskId: e.target.dataset.taskId
-                };
-            }
-        });
+        const salt = AuthManager.randomHex(16);
+        const user = {
+            id: generateId(),
+            username: username.trim(),
+            name: name.trim() || username.trim(),
+            role,
+            salt,
+            iterations: PBKDF2_ITERATIONS,
+            hash: await this.hashPassword(password, salt)
+        };
+        this.users.push(user);
+        this.saveUsers();
+        return this.publicUser(user);
+    }
 
-        document.addEventListener('dragend', (e) => {
-            if (e.target.classList.contains('task-card')) {
-                e.target.classList.remove('dragging');
-                this.draggedTask = null;
-            }
-        });
+    async verify(user, password) {
+        return user.hash === await this.hashPassword(password, user.salt, user.iterations);
+    }
 
-        document.addEventListener('dragover', (e) => {
-            e.preventDefault();
-            const column = e.target.closest('.kanban-tasks');
-            if (column) {
-                column.classList.add('drag-over');
-            }
-        });
+    async login(username, password) {
+        const user = this.findUser(username);
+        if (!user || !(await this.verify(user, password))) return null;
 
-        document.addEventListener('dragleave', (e) => {
-            const column = e.target.closest('.kanban-tasks');
-            if (column && !column.contains(e.relatedTarget)) {
-                column.classList.remove('drag-over');
-            }
-        });
+        const session = { token: AuthManager.randomHex(32), userId: user.id, expiresAt: Date.now() + SESSION_TTL };
+        this.sessions.push(session);
+        this.saveSessions();
+        StorageManager.saveGlobal('session', { token: session.token });
+        this.currentUser = this.publicUser(user);
+        return this.currentUser;
+    }
 
-        document.addEventListener('drop', (e) => {
-            e.preventDefault();
-            const column = e.target.closest('.kanban-tasks');
-            if (column && this.draggedTask) {
-                column.classList.remove('drag-over');
-                const newStatus = column.dataset.status;
-                this.taskManager.updateTask(
-                    this.draggedTask.projectId,
-                    this.draggedTask.taskId,
-                    { status: newStatus }
-                );
-                uiController.renderKanbanBoard();
-                showToast('Task status updated', 'success');
-            }
-        });
+    logout() {
+        const current = StorageManager.loadGlobal('session');
+        if (current) {
+            this.sessions = this.sessions.filter(s => s.token !== current.token);
+            this.saveSessions();
+        }
+        StorageManager.removeGlobal('session');
+        this.currentUser = null;
     }
-}
 
-// Calendar Manager Class
-class CalendarManager {
-    constructor(taskManager) {
-        this.taskManager = taskManager;
-        this.currentDate = new Date();
+    restoreSession() {
+        const current = StorageManager.loadGlobal('session');
+        const session = current && this.sessions.find(s => s.token === current.token);
+        const user = session && session.expiresAt > Date.now() && this.users.find(u => u.id === session.userId);
+        return user ? this.publicUser(user) : null;
     }
 
-    getMonthData(year, month) {
-        const firstDay = new Date(year, month, 1);
-        const lastDay = new Date(year, month + 1, 0);
-        const prevLastDay = new Date(year, month, 0);
-        
-        const firstDayOfWeek = firstDay.getDay();
-        const daysInMonth = lastDay.getDate();
-        const daysInPrevMonth = prevLastDay.getDate();
-        
-        const days = [];
-        
-        // Previous month days
-        for (let i = firstDayOfWeek - 1; i >= 0; i--) {
-            days.push({
-                day: daysInPrevMonth - i,
-                month: month - 1,
-                year: month === 0 ? year - 1 : year,
-                isCurrentMonth: false
-            });
-        }
-        
-        // Current month days
-        for (let i = 1; i <= daysInMonth; i++) {
-            days.push({
-                day: i,
-                month: month,
-                year: year,
-                isCurrentMonth: true
-            });
-        }
-        
-        // Next month days
-        const remainingDays = 42 - days.length;
-        for (let i = 1; i <= remainingDays; i++) {
-            days.push({
-                day: i,
-                month: month + 1,
-                year: month === 11 ? year + 1 : year,
-                isCurrentMonth: false
-            });
-        }
-        
-        return days;
+    async changePassword(currentPassword, newPassword) {
+        const user = this.users.find(u => u.id === this.currentUser.id);
+        if (!(await this.verify(user, currentPassword))) throw new Error('Current password is incorrect');
+
+        user.salt = AuthManager.randomHex(16);
+        user.iterations = PBKDF2_ITERATIONS;
+        user.hash = await this.hashPassword(newPassword, user.salt);
+        // Sign out every other session of this user
+        const current = StorageManager.loadGlobal('session');
+        this.sessions = this.sessions.filter(s => s.userId !== user.id || s.token === current.token);
+        this.saveUsers();
+        this.saveSessions();
     }
 
-    getTasksForDate(date) {
-        const allTasks = this.taskManager.getAllTasks();
-        return allTasks.filter(task => {
-            if (!task.dueDate) return false;
-            const taskDate = new Date(task.dueDate);
-            return taskDate.toDateString() === date.toDateString();
-        });
+    isAdmin() {
+        return Boolean(this.currentUser && this.currentUser.role === 'admin');
     }
 
-    nextMonth() {
-        this.currentDate.setMonth(this.currentDate.getMonth() + 1);
+    requireAdmin() {
+        if (!this.isAdmin()) throw new PermissionError('Only administrators can do that');
     }
 
-    prevMonth() {
-        this.currentDate.setMonth(this.currentDate.getMonth() - 1);
+    getUsers() {
+        return this.users.map(u => this.publicUser(u));
     }
 
-    getCurrentMonth() {
-        return this.currentDate.getMonth();
+    setRole(userId, role) {
+        this.requireAdmin();
+        if (!USER_ROLES.includes(role)) throw new Error(`Unknown role: ${role}`);
+        const user = this.users.find(u => u.id === userId);
+        if (!user) return;
+        if (user.role === 'admin' && role !== 'admin' && this.users.filter(u => u.role === 'admin').length === 1) {
+            throw new Error('There must be at least one administrator');
+        }
+        user.role = role;
+        this.saveUsers();
+        if (userId === this.currentUser.id) this.currentUser = this.publicUser(user);
     }
 
-    getCurrentYear() {
-        return this.currentDate.getFullYear();
+    // The account's stored data goes with it; its project memberships are removed by
+    // ProjectManager.removeUser
+    deleteUser(userId) {
+        this.requireAdmin();
+        if (userId === this.currentUser.id) throw new Error('You cannot delete your own account');
+        this.users = this.users.filter(u => u.id !== userId);
+        this.sessions = this.sessions.filter(s => s.userId !== userId);
+        this.saveUsers();
+        this.saveSessions();
+        StorageManager.removeUserData(userId);
     }
 }
 
+// Slice colours for the task chart's columns that aren't done columns (those are green)
+const TASK_CHART_COLORS = ['#f59e0b', '#3b82f6', '#8b5cf6', '#ec4899', '#06b6d4'];
+
 // UI Controller Class
 class UIController {
-    constructor(projectManager, taskManager, kanbanManager, calendarManager) {
+    constructor(authManager, projectManager, taskManager, historyManager, kanbanManager, calendarManager, timelineManager,
+        timeTracker, searchManager, templateManager, syncManager) {
+        this.authManager = authManager;
         this.projectManager = projectManager;
         this.taskManager = taskManager;
+        this.historyManager = historyManager;
         this.kanbanManager = kanbanManager;
         this.calendarManager = calendarManager;
+        this.timelineManager = timelineManager;
+        this.timeTracker = timeTracker;
+        this.searchManager = searchManager;
+        this.templateManager = templateManager;
+        this.syncManager = syncManager;
         this.currentPage = 'dashboard';
         this.currentProjectId = null;
         this.searchQuery = '';
+        this.searchResults = null;
+        this.paletteIndex = 0;
         this.projectFilter = 'all';
+        this.taskView = this.copyView(TASK_VIEW_DEFAULT);
+        this.savedViews = [];
+        this.activeViewId = null;
+        this.taskLayout = 'list';
+        this.selectedTasks = new Map();
+        this.tableCell = null;
+        this.cellEdit = null;
+        this.kanbanProjectId = 'all';
+        this.kanbanSwimlane = 'none';
+        this.workflowProjectId = null;
+        this.checklistDraft = [];
+        this.timeEntriesDraft = [];
+        this.timerTicker = null;
+        this.detailTask = null;
+        this.replyTo = null;
+        this.transferring = null;
+        this.templating = null;
+        this.trashRetention = 30;
+        this.trashTimer = null;
     }
 
     init() {
+        this.projectManager.onChange(({ entity }) => {
+            if (entity !== 'task') this.renderSidebarProjects();
+        });
+        this.projectManager.onReload(({ projectIds, conflicts }) => {
+            this.renderSidebarProjects();
+            this.refresh(projectIds);
+            if (conflicts.length > 0) this.showConflicts(conflicts);
+        });
         this.setupEventListeners();
+    }
+
+    // Called after each login, once the user's own data is loaded
+    start() {
+        this.projectFilter = StorageManager.load('projectFilter') || 'all';
+        this.taskView = this.copyView(StorageManager.load('taskView') || TASK_VIEW_DEFAULT);
+        this.savedViews = StorageManager.load('savedViews') || [];
+        this.activeViewId = null;
+        this.renderSavedViews();
+        this.renderSidebarProjects();
+        this.taskLayout = StorageManager.load('taskLayout') || 'list';
+        this.selectedTasks.clear();
+        this.timelineManager.zoom = StorageManager.load('timelineZoom') || 'week';
+        const retention = StorageManager.load('trashRetention');
+        this.trashRetention = retention === null ? 30 : retention;
+        this.purgeExpiredTrash();
+        clearInterval(this.trashTimer);
+        this.trashTimer = setInterval(() => this.purgeExpiredTrash(), 60 * 60 * 1000);
+        this.kanbanProjectId = StorageManager.load('kanbanProject') || 'all';
+        this.kanbanSwimlane = StorageManager.load('kanbanSwimlane') || 'none';
+        this.timeTracker.load();
+        this.updateTimerTicker();
+        this.searchQuery = '';
+        this.searchResults = null;
+        document.getElementById('searchInput').value = '';
         this.renderPage('dashboard');
+        document.querySelectorAll('.nav-item').forEach(i => i.classList.toggle('active', i.dataset.page === 'dashboard'));
         this.updateNotifications();
     }
 
@@ -360,29 +3477,31 @@ class UIController {
             document.querySelector('.main-container').classList.toggle('expanded');
         });
 
-        // Theme toggle
-        document.getElementById('themeToggle').addEventListener('click', () => {
-            const html = document.documentElement;
-            const currentTheme = html.getAttribute('data-theme') || 'light';
-            const newTheme = currentTheme === 'dark' ? 'light' : 'dark';
-            html.setAttribute('data-theme', newTheme);
-            localStorage.setItem('theme', newTheme);
-            const icon = document.querySelector('#themeToggle i');
-            icon.className = newTheme === 'dark' ? 'fas fa-sun' : 'fas fa-moon';
+        // Search, with the Ctrl+K palette of matches under the field
+        const searchInput = document.getElementById('searchInput');
+        searchInput.addEventListener('input', (e) => this.setSearchQuery(e.target.value));
+        searchInput.addEventListener('keydown', (e) => {
+            const items = this.getPaletteItems();
+            if ((e.key === 'ArrowDown' || e.key === 'ArrowUp') && items.length) {
+                e.preventDefault();
+                this.paletteIndex = (this.paletteIndex + (e.key === 'ArrowDown' ? 1 : -1) + items.length) % items.length;
+                this.renderSearchPalette();
+            } else if (e.key === 'Enter' && items.length) {
+                e.preventDefault();
+                const item = items[this.paletteIndex];
+                this.openSearchResult(item.projectId, item.taskId);
+            } else if (e.key === 'Escape') {
+                searchInput.blur();
+            }
         });
+        searchInput.addEventListener('focus', () => this.renderSearchPalette());
+        searchInput.addEventListener('blur', () => this.renderSearchPalette());
+        // Keep focus in the field so a click on an option still lands
+        document.getElementById('searchPalette').addEventListener('mousedown', (e) => e.preventDefault());
 
-        // Load saved theme
-        const savedTheme = localStorage.getItem('theme');
-        if (savedTheme) {
-            document.documentElement.setAttribute('data-theme', savedTheme);
-            const icon = document.querySelector('#themeToggle i');
-            icon.className = savedTheme === 'dark' ? 'fas fa-sun' : 'fas fa-moon';
-        }
-
-        // Search
-        document.getElementById('searchInput').addEventListener('input', (e) => {
-            this.searchQuery = e.target.value.toLowerCase();
-            this.renderPage(this.currentPage);
+        // Pick up edits saved by other tabs while this one was in the background
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') this.projectManager.reloadProjects();
         });
 
         // Project form
@@ -396,51 +3515,364 @@ class UIController {
             e.preventDefault();
             this.handleTaskSubmit();
         });
+
+        // Enter in the checklist field adds an item instead of submitting the task form
+        document.getElementById('taskChecklistInput').addEventListener('keydown', (e) => {
+            if (e.key !== 'Enter') return;
+            e.preventDefault();
+            this.addChecklistDraftItem();
+        });
+
+        // Task table: keyboard navigation, editing on Enter or double-click, saving on blur
+        const content = document.getElementById('content');
+        content.addEventListener('keydown', (e) => {
+            if (e.target.closest('.task-table')) this.handleTableKeydown(e);
+        });
+        content.addEventListener('dblclick', (e) => {
+            const cell = e.target.closest('.task-table td[data-editable]');
+            if (cell && !this.cellEdit) this.editCell(cell);
+        });
+        content.addEventListener('focusin', (e) => {
+            const cell = e.target.closest('.task-table td[data-field]');
+            if (cell) this.tableCell = { taskId: cell.parentElement.dataset.taskId, field: cell.dataset.field };
+        });
+        content.addEventListener('focusout', (e) => {
+            if (!this.cellEdit || e.target !== this.cellEdit.editor) return;
+            // Let focus land first, so a click on another cell keeps it there after the save
+            setTimeout(() => this.commitCellEdit());
+        });
+
+        this.setupActions();
+    }
+
+    // Rendered markup carries data-action attributes instead of inline handlers, so ids and
+    // other values never end up inside script. Forms dispatch on submit, inputs and selects
+    // on change, everything else on click.
+    setupActions() {
+        const actions = {
+            'view-project': ({ projectId }) => this.viewProjectDetails(projectId),
+            'new-project': () => this.openProjectModal(),
+            'edit-project': ({ projectId }) => this.editProject(projectId),
+            'delete-project': ({ projectId }) => this.deleteProject(projectId),
+            'duplicate-project': ({ projectId }) => this.duplicateProject(projectId),
+            'open-template': ({ projectId }) => this.openTemplateModal(projectId),
+            'save-template': (data, el) => this.saveTemplate(el.elements.name.value),
+            'delete-template': ({ templateId }) => this.deleteTemplate(templateId),
+            'project-template': () => this.updateProjectTemplate(),
+            'filter-projects': (data, el) => this.filterProjects(el.value),
+            'task-filter': ({ field }, el) => this.setTaskFilter(field, el.type === 'checkbox' ? el.checked : el.value),
+            'task-sort': (data, el) => this.setTaskView({ sort: { ...this.taskView.sort, field: el.value } }),
+            'task-sort-direction': () => this.setTaskView({
+                sort: { ...this.taskView.sort, direction: this.taskView.sort.direction === 'asc' ? 'desc' : 'asc' }
+            }),
+            'task-group': (data, el) => this.setTaskView({ group: el.value }),
+            'reset-task-view': () => this.setTaskView(TASK_VIEW_DEFAULT),
+            'save-view': (data, el) => this.saveView(el.elements.viewName.value),
+            'open-view': ({ viewId }) => this.openView(viewId),
+            'delete-view': ({ viewId }) => this.deleteView(viewId),
+            'task-layout': ({ layout }) => this.setTaskLayout(layout),
+            'select-task': ({ projectId, taskId }, el) => this.toggleTaskSelection(projectId, taskId, el.checked),
+            'select-all-tasks': (data, el) => this.selectAllTasks(el.checked),
+            'clear-selection': () => this.selectAllTasks(false),
+            'bulk-status': (data, el) => el.value && this.runBulkAction(`set to ${el.value}`, refs => this.taskManager.updateTasks(refs, { status: el.value })),
+            'bulk-assign': (data, el) => this.runBulkAction(el.elements.assignee.value.trim() ? `assigned to ${el.elements.assignee.value.trim()}` : 'unassigned',
+                refs => this.taskManager.updateTasks(refs, { assignee: el.elements.assignee.value.trim() })),
+            'bulk-move': (data, el) => el.value && this.runBulkAction(`moved to ${this.projectManager.getProject(el.value).name}`,
+                refs => this.taskManager.moveTasks(refs, el.value), false),
+            'bulk-due': (data, el) => this.runBulkAction(el.value ? `due ${new Date(el.value).toLocaleDateString()}` : 'without a due date',
+                refs => this.taskManager.updateTasks(refs, { dueDate: el.value })),
+            'bulk-delete': () => this.bulkDelete(),
+            'new-task': ({ projectId }) => this.openTaskModal(projectId),
+            'edit-task': ({ projectId, taskId }) => this.editTask(projectId, taskId),
+            'delete-task': ({ projectId, taskId }) => this.deleteTask(projectId, taskId),
+            'toggle-task': ({ projectId, taskId }, el) => this.toggleTaskComplete(projectId, taskId, el.checked),
+            'add-checklist-item': ({ projectId, taskId }, el) => this.addChecklistItem(projectId, taskId, el.elements.text.value),
+            'toggle-checklist-item': ({ projectId, taskId, itemId }, el) => this.updateChecklist(() =>
+                this.taskManager.toggleChecklistItem(projectId, taskId, itemId, el.checked)),
+            'remove-checklist-item': ({ projectId, taskId, itemId }) => this.updateChecklist(() =>
+                this.taskManager.removeChecklistItem(projectId, taskId, itemId)),
+            'draft-checklist-add': () => this.addChecklistDraftItem(),
+            'draft-checklist-toggle': ({ itemId }, el) => this.editChecklistDraftItem(itemId, { done: el.checked }),
+            'draft-checklist-text': ({ itemId }, el) => this.editChecklistDraftItem(itemId, { text: el.value }),
+            'draft-checklist-remove': ({ itemId }) => this.removeChecklistDraftItem(itemId),
+            'draft-time-add': () => this.addTimeEntryDraft(),
+            'draft-time-edit': ({ entryId, field }, el) => this.editTimeEntryDraft(entryId, field, el.value),
+            'draft-time-remove': ({ entryId }) => this.removeTimeEntryDraft(entryId),
+            'toggle-timer': ({ projectId, taskId }) => this.toggleTimer(projectId, taskId),
+            'view-task': ({ projectId, taskId }) => this.openTaskDetail(projectId, taskId),
+            'open-transfer': ({ projectId, taskId }) => this.openTransfer(projectId, taskId),
+            'transfer-project': () => this.updateTransferButtons(),
+            'transfer-task': ({ mode }) => this.transferTask(mode),
+            'open-project': ({ projectId }) => this.openProject(projectId),
+            'open-search-result': ({ projectId, taskId }) => this.openSearchResult(projectId, taskId),
+            'add-comment': ({ parentId }, el) => this.addComment(el.elements.text.value, parentId || null),
+            'reply-comment': ({ commentId }) => this.setReplyTo(commentId),
+            'repeat-fields': () => this.updateRepeatFields(),
+            'add-member': ({ projectId }) => this.addMember(projectId),
+            'set-member-role': ({ projectId, userId }, el) => this.setMemberRole(projectId, userId, el.value),
+            'remove-member': ({ projectId, userId }) => this.setMemberRole(projectId, userId, null),
+            'prev-month': () => this.prevMonth(),
+            'today-month': () => this.todayMonth(),
+            'next-month': () => this.nextMonth(),
+            'show-day': ({ date }) => this.showDayTasks(date),
+            'kanban-project': (data, el) => this.setKanbanProject(el.value),
+            'kanban-swimlane': (data, el) => this.setKanbanSwimlane(el.value),
+            'edit-workflow': ({ projectId }) => this.openWorkflowModal(projectId),
+            'add-column': ({ projectId }, el) => this.updateWorkflow(() => this.projectManager.addColumn(projectId, el.elements.name.value)),
+            'rename-column': ({ projectId, columnId }, el) => this.updateWorkflow(() => this.projectManager.renameColumn(projectId, columnId, el.value)),
+            'set-column-limit': ({ projectId, columnId }, el) => this.updateWorkflow(() => this.projectManager.setColumnLimit(projectId, columnId, el.value)),
+            'set-column-done': ({ projectId, columnId }, el) => this.updateWorkflow(() => this.projectManager.setColumnDone(projectId, columnId, el.checked)),
+            'move-column': ({ projectId, columnId, offset }) => this.updateWorkflow(() => this.projectManager.moveColumn(projectId, columnId, Number(offset))),
+            'delete-column': ({ projectId, columnId }) => this.updateWorkflow(() => this.projectManager.deleteColumn(projectId, columnId)),
+            'timeline-zoom': ({ zoom }) => this.setTimelineZoom(zoom),
+            'restore-project': ({ projectId }) => this.updateTrash('Project restored', () => this.projectManager.restoreProject(projectId)),
+            'restore-task': ({ projectId, taskId }) => this.updateTrash('Task restored', () => this.taskManager.restoreTask(projectId, taskId)),
+            'purge-project': ({ projectId }) => this.confirmPurge(() => this.projectManager.purgeProject(projectId)),
+            'purge-task': ({ projectId, taskId }) => this.confirmPurge(() => this.taskManager.purgeTask(projectId, taskId)),
+            'empty-trash': () => this.confirmPurge(() => this.taskManager.purgeExpired(0)),
+            'trash-retention': (data, el) => this.setTrashRetention(Number(el.value)),
+            'navigate': ({ page }) => this.renderPage(page),
+            'save-server-url': () => this.saveServerUrl(),
+            'sync-now': () => this.syncManager.sync(),
+            'export-data': () => this.exportData(),
+            'import-data': () => this.importData(),
+            'clear-all-data': () => this.clearAllData(),
+            'change-password': () => this.handlePasswordChange(),
+            'change-user-role': ({ userId }, el) => this.changeUserRole(userId, el.value),
+            'delete-user': ({ userId }) => this.deleteUser(userId),
+            'close-modal': ({ modal }) => closeModal(modal),
+            'toggle-auth': ({ register }) => toggleAuthForm(register === 'true')
+        };
+        const eventFor = (el) => {
+            if (el.matches('form')) return 'submit';
+            return el.matches('input, select') ? 'change' : 'click';
+        };
+
+        ['click', 'change', 'submit'].forEach(type => {
+            document.addEventListener(type, (e) => {
+                const target = e.target.closest('[data-action]');
+                if (!target || eventFor(target) !== type || !actions[target.dataset.action]) return;
+                if (type !== 'change') e.preventDefault();
+                actions[target.dataset.action](target.dataset, target);
+            });
+        });
+    }
+
+    // Runs a data mutation; permission and validation errors become a toast instead of an exception
+    guard(action) {
+        return this.attempt(action) === null;
+    }
+
+    // As guard, but returns the message of the error shown, or null when the action succeeded
+    attempt(action) {
+        try {
+            action();
+            return null;
+        } catch (error) {
+            if (!USER_ERRORS.some(type => error instanceof type)) throw error;
+            showToast(error.message, 'error');
+            return error.message;
+        }
+    }
+
+    can(projectId, permission) {
+        return this.projectManager.can(this.projectManager.getProject(projectId), permission);
     }
 
     renderPage(page) {
         this.currentPage = page;
+        this.currentProjectId = null;
         const content = document.getElementById('content');
         const skeleton = content.querySelector('.skeleton-loader');
         
         if (skeleton) skeleton.classList.add('show');
         
-        setTimeout(() => {
-            switch(page) {
-                case 'dashboard':
-                    content.innerHTML = this.renderDashboard();
-                    this.initCharts();
-                    break;
-                case 'projects':
-                    content.innerHTML = this.renderProjects();
-                    break;
-                case 'tasks':
-                    content.innerHTML = this.renderTasks();
-                    break;
-                case 'kanban':
-                    content.innerHTML = this.renderKanban();
-                    this.kanbanManager.setupDragAndDrop();
-                    break;
-                case 'calendar':
-                    content.innerHTML = this.renderCalendar();
-                    this.setupCalendarEvents();
-                    break;
-                case 'settings':
-                    content.innerHTML = this.renderSettings();
-                    break;
+        setTimeout(() => this.renderContent(page), 300);
+    }
+
+    renderContent(page) {
+        const content = document.getElementById('content');
+        this.updateSearchResults();
+        switch(page) {
+            case 'dashboard':
+                content.innerHTML = this.renderDashboard();
+                this.initCharts();
+                break;
+            case 'projects':
+                content.innerHTML = this.renderProjects();
+                break;
+            case 'tasks':
+                content.innerHTML = this.renderTasks();
+                break;
+            case 'kanban':
+                content.innerHTML = this.renderKanban();
+                this.kanbanManager.setupDragAndDrop();
+                break;
+            case 'calendar':
+                content.innerHTML = this.renderCalendar();
+                this.setupCalendarEvents();
+                break;
+            case 'timeline':
+                content.innerHTML = this.renderTimeline();
+                this.timelineManager.setupDragging();
+                break;
+            case 'trash':
+                this.purgeExpiredTrash();
+                content.innerHTML = this.renderTrash();
+                break;
+            case 'settings':
+                content.innerHTML = this.renderSettings();
+                this.syncManager.updateIndicator();
+                break;
+        }
+    }
+
+    // Re-renders the current view in place after data changed underneath it (another
+    // tab, the sync server), keeping scroll position and any open modal
+    refresh(projectIds = null) {
+        if (projectIds && this.currentProjectId && !projectIds.includes(this.currentProjectId)) return;
+        if (this.kanbanManager.draggedTask || this.timelineManager.drag) return;
+
+        // Don't wipe out a field the user is typing in; refresh once they leave it
+        const active = document.activeElement;
+        if (active && active.matches('input, textarea, select') && document.getElementById('content').contains(active)) {
+            active.addEventListener('blur', () => this.refresh(), { once: true });
+            return;
+        }
+
+        const scrollX = window.scrollX;
+        const scrollY = window.scrollY;
+        if (this.currentProjectId) {
+            if (this.projectManager.getProject(this.currentProjectId)) {
+                this.viewProjectDetails(this.currentProjectId);
+            } else {
+                this.renderPage('projects');
             }
-        }, 300);
+        } else {
+            this.renderContent(this.currentPage);
+        }
+        window.scrollTo(scrollX, scrollY);
+        if (this.detailTask && document.getElementById('taskDetailModal').classList.contains('active')) {
+            this.renderTaskDetail();
+        }
+        this.updateNotifications();
+    }
+
+    // Search
+    updateSearchResults() {
+        const query = this.searchQuery.trim();
+        if (!query) {
+            this.searchResults = null;
+            return;
+        }
+        const { projects, tasks } = this.searchManager.search(query);
+        this.searchResults = {
+            projects,
+            tasks,
+            projectIds: new Set(projects.map(p => p.id)),
+            taskIds: new Set(tasks.map(t => t.id))
+        };
+    }
+
+    matchesSearch(task) {
+        return !this.searchResults || this.searchResults.taskIds.has(task.id);
+    }
+
+    // A project also matches when one of its tasks does
+    projectMatchesSearch(project) {
+        return !this.searchResults ||
+            this.searchResults.projectIds.has(project.id) ||
+            project.getTasks().some(t => this.searchResults.taskIds.has(t.id));
+    }
+
+    setSearchQuery(query) {
+        this.searchQuery = query;
+        this.paletteIndex = 0;
+        this.updateSearchResults();
+        this.refresh();
+        this.renderSearchPalette();
+    }
+
+    getPaletteItems() {
+        if (!this.searchResults) return [];
+        return [
+            ...this.searchResults.projects.map(project => ({ projectId: project.id, taskId: '', name: project.name, meta: 'Project' })),
+            ...this.searchResults.tasks.map(task => ({
+                projectId: task.projectId,
+                taskId: task.id,
+                name: task.name,
+                meta: this.projectManager.getProject(task.projectId).name
+            }))
+        ].slice(0, SEARCH_PALETTE_LIMIT);
+    }
+
+    // The palette is open while the search field has focus and a query
+    renderSearchPalette() {
+        const input = document.getElementById('searchInput');
+        const palette = document.getElementById('searchPalette');
+        const open = document.activeElement === input && Boolean(this.searchResults);
+        const items = open ? this.getPaletteItems() : [];
+        this.paletteIndex = Math.min(this.paletteIndex, Math.max(items.length - 1, 0));
+
+        palette.innerHTML = items.length ? html`${items.map((item, i) => html`
+            <li id="searchOption${i}" class="search-option ${i === this.paletteIndex ? 'active' : ''}" role="option"
+                aria-selected="${i === this.paletteIndex}" data-action="open-search-result"
+                data-project-id="${item.projectId}" data-task-id="${item.taskId}">
+                <i class="fas ${item.taskId ? 'fa-square-check' : 'fa-folder'}"></i>
+                <span class="search-option-name">${item.name}</span>
+                <span class="search-option-meta">${item.meta}</span>
+            </li>`)}` : html`<li class="search-empty" role="presentation">No matches</li>`;
+        palette.hidden = !open;
+        input.setAttribute('aria-expanded', String(items.length > 0));
+        if (items.length > 0) {
+            input.setAttribute('aria-activedescendant', `searchOption${this.paletteIndex}`);
+            document.getElementById(`searchOption${this.paletteIndex}`).scrollIntoView({ block: 'nearest' });
+        } else {
+            input.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    // Jumps to the result's project, opening the task on top of it
+    openSearchResult(projectId, taskId) {
+        document.getElementById('searchInput').blur();
+        this.openProject(projectId);
+        if (taskId) this.openTaskDetail(projectId, taskId);
+    }
+
+    renderSearchResults() {
+        const { projects, tasks } = this.searchResults;
+        return html`
+            <div class="chart-card settings-section">
+                <h3>Search results</h3>
+                ${projects.length + tasks.length === 0 ? html`<p class="settings-hint">Nothing matches this search.</p>` : ''}
+                ${projects.length ? html`
+                <ul class="search-result-projects">
+                    ${projects.map(project => html`
+                    <li>
+                        <button class="btn-link" data-action="open-search-result" data-project-id="${project.id}" data-task-id="">
+                            <i class="fas fa-folder"></i> ${project.name}
+                        </button>
+                    </li>`)}
+                </ul>` : ''}
+                ${tasks.length ? html`
+                <div class="task-list">
+                    ${tasks.map(task => this.renderTaskListItem(task, true))}
+                </div>` : ''}
+            </div>
+        `;
     }
 
     renderDashboard() {
         const projectStats = this.projectManager.getStats();
         const taskStats = this.taskManager.getStats();
         
-        return `
+        return html`
             <div class="page-header">
                 <h1>Dashboard Overview</h1>
             </div>
             
+            ${this.searchResults ? this.renderSearchResults() : ''}
+            
             <div class="stats-grid">
                 <div class="stat-card">
                     <div class="stat-card-header">
@@ -511,6 +3943,33 @@ class UIController {
                         <span>Need attention</span>
                     </div>
                 </div>
+                
+                <div class="stat-card">
+                    <div class="stat-card-header">
+                        <span class="stat-card-title">Overall Progress</span>
+                        <div class="stat-card-icon" style="background: #dbeafe; color: #3b82f6;">
+                            <i class="fas fa-chart-line"></i>
+                        </div>
+                    </div>
+                    <div class="stat-card-value" data-target="${taskStats.progress}" data-suffix="%">0</div>
+                    <div class="stat-card-change">
+                        <i class="fas fa-list-check"></i>
+                        <span>Including checklists</span>
+                    </div>
+                </div>
+                <div class="stat-card">
+                    <div class="stat-card-header">
+                        <span class="stat-card-title">Hours Logged</span>
+                        <div class="stat-card-icon" style="background: #ede9fe; color: #8b5cf6;">
+                            <i class="fas fa-clock"></i>
+                        </div>
+                    </div>
+                    <div class="stat-card-value" data-target="${taskStats.hoursThisWeek}" data-suffix="h">0</div>
+                    <div class="stat-card-change">
+                        <i class="fas fa-calendar-week"></i>
+                        <span>This week</span>
+                    </div>
+                </div>
             </div>
             
             <div class="charts-grid">
@@ -533,33 +3992,37 @@ class UIController {
             projects = projects.filter(p => p.status === this.projectFilter);
         }
         
-        if (this.searchQuery) {
-            projects = projects.filter(p => 
-                p.name.toLowerCase().includes(this.searchQuery) ||
-                p.description.toLowerCase().includes(this.searchQuery)
-            );
-        }
+        projects = projects.filter(p => this.projectMatchesSearch(p));
         
-        const projectCards = projects.map(project => `
-            <div class="project-card" onclick="uiController.viewProjectDetails('${project.id}')">
+        const projectCards = projects.map(project => html`
+            <div class="project-card" data-action="view-project" data-project-id="${project.id}">
                 <div class="project-card-header">
                     <div>
                         <div class="project-card-title">${project.name}</div>
+                        ${StorageManager.isShared(project) ? html`<span class="badge-role"><i class="fas fa-users"></i> Shared</span>` : ''}
                     </div>
                     <div class="project-card-actions">
-                        <button class="icon-btn" onclick="event.stopPropagation(); uiController.editProject('${project.id}')">
-                            <i class="fas fa-edit"></i>
+                        <button class="icon-btn" data-action="duplicate-project" data-project-id="${project.id}" aria-label="Duplicate project" title="Duplicate project">
+                            <i class="fas fa-copy"></i>
                         </button>
-                        <button class="icon-btn" onclick="event.stopPropagation(); uiController.deleteProject('${project.id}')">
-                            <i class="fas fa-trash"></i>
+                        <button class="icon-btn" data-action="open-template" data-project-id="${project.id}" aria-label="Save as template" title="Save as template">
+                            <i class="fas fa-bookmark"></i>
                         </button>
+                        ${this.projectManager.can(project, 'edit') ? html`
+                        <button class="icon-btn" data-action="edit-project" data-project-id="${project.id}">
+                            <i class="fas fa-edit"></i>
+                        </button>` : html`<span class="badge-role">View only</span>`}
+                        ${this.projectManager.can(project, 'delete') ? html`
+                        <button class="icon-btn" data-action="delete-project" data-project-id="${project.id}">
+                            <i class="fas fa-trash"></i>
+                        </button>` : ''}
                     </div>
                 </div>
                 <div class="project-card-description">${project.description || 'No description'}</div>
                 <div class="project-card-meta">
                     <span class="badge-status ${project.status.toLowerCase().replace(' ', '-')}">${project.status}</span>
                     <span class="badge-priority ${project.priority.toLowerCase()}">${project.priority}</span>
-                    ${project.deadline ? `<span><i class="fas fa-calendar"></i> ${new Date(project.deadline).toLocaleDateString()}</span>` : ''}
+                    ${project.deadline ? html`<span><i class="fas fa-calendar"></i> ${new Date(project.deadline).toLocaleDateString()}</span>` : ''}
                 </div>
                 <div class="project-card-footer">
                     <div class="project-progress">
@@ -568,162 +4031,774 @@ class UIController {
                             <div class="progress-fill" style="width: ${project.getProgress()}%"></div>
                         </div>
                     </div>
-                    <span>${project.tasks.length} tasks</span>
+                    <span>${project.getTasks().length} tasks</span>
                 </div>
             </div>
-        `).join('');
+        `);
         
-        const html = `
+        return html`
             <div class="page-header">
                 <h1>Projects</h1>
                 <div style="display: flex; gap: 12px;">
-                    <select id="projectFilter" class="filter-select" onchange="uiController.filterProjects(this.value)">
+                    <select id="projectFilter" class="filter-select" data-action="filter-projects">
                         <option value="all" ${this.projectFilter === 'all' ? 'selected' : ''}>All Projects</option>
                         <option value="Active" ${this.projectFilter === 'Active' ? 'selected' : ''}>Active</option>
                         <option value="Completed" ${this.projectFilter === 'Completed' ? 'selected' : ''}>Completed</option>
                         <option value="On Hold" ${this.projectFilter === 'On Hold' ? 'selected' : ''}>On Hold</option>
                     </select>
-                    <button class="btn btn-primary" onclick="uiController.openProjectModal()">
+                    <button class="btn btn-primary" data-action="new-project">
                         <i class="fas fa-plus"></i> New Project
                     </button>
                 </div>
             </div>
-            <div class="projects-grid">
-                ${projectCards || '<p>No projects found. Create your first project!</p>'}
+            <div class="projects-grid">
+                ${projectCards.length ? projectCards : html`<p>No projects found. Create your first project!</p>`}
+            </div>
+        `;
+    }
+
+    renderTasks() {
+        const { filters, sort, group } = this.taskView;
+        const groups = this.taskManager.queryTasks(this.taskView)
+            .map(g => ({ ...g, tasks: g.tasks.filter(t => this.matchesSearch(t)) }))
+            .filter(g => g.tasks.length > 0);
+        const projects = this.projectManager.getAllProjects();
+        const statuses = this.kanbanManager.getColumns(projects).map(c => c.name);
+        const assignees = [...new Set(this.taskManager.getAllTasks().map(t => t.assignee).filter(Boolean))].sort();
+        const activeView = this.savedViews.find(v => v.id === this.activeViewId);
+        const option = (value, label, selected) => html`<option value="${value}" ${value === selected ? 'selected' : ''}>${label}</option>`;
+        
+        return html`
+            <div class="page-header">
+                <h1>${activeView ? activeView.name : 'All Tasks'}</h1>
+                <div class="timeline-zoom" role="group" aria-label="Layout">
+                    <button class="btn btn-secondary ${this.taskLayout === 'list' ? 'active' : ''}" data-action="task-layout" data-layout="list"
+                        aria-pressed="${this.taskLayout === 'list'}">
+                        <i class="fas fa-list"></i> List
+                    </button>
+                    <button class="btn btn-secondary ${this.taskLayout === 'table' ? 'active' : ''}" data-action="task-layout" data-layout="table"
+                        aria-pressed="${this.taskLayout === 'table'}">
+                        <i class="fas fa-table"></i> Table
+                    </button>
+                </div>
+                <form class="view-save-form" data-action="save-view">
+                    <input type="text" name="viewName" class="filter-select" placeholder="View name" aria-label="View name"
+                        value="${activeView ? activeView.name : ''}" required>
+                    <button type="submit" class="btn btn-secondary">
+                        <i class="fas fa-floppy-disk"></i> Save view
+                    </button>
+                </form>
+            </div>
+            <div class="task-view-toolbar">
+                <select class="filter-select" data-action="task-filter" data-field="status" aria-label="Status">
+                    ${option('', 'Any status', filters.status)}
+                    ${statuses.map(status => option(status, status, filters.status))}
+                </select>
+                <select class="filter-select" data-action="task-filter" data-field="priority" aria-label="Priority">
+                    ${option('', 'Any priority', filters.priority)}
+                    ${[...TASK_PRIORITIES].reverse().map(priority => option(priority, priority, filters.priority))}
+                </select>
+                <select class="filter-select" data-action="task-filter" data-field="assignee" aria-label="Assignee">
+                    ${option('', 'Anyone', filters.assignee)}
+                    ${assignees.map(assignee => option(assignee, assignee, filters.assignee))}
+                </select>
+                <select class="filter-select" data-action="task-filter" data-field="projectId" aria-label="Project">
+                    ${option('', 'All projects', filters.projectId)}
+                    ${projects.map(project => option(project.id, project.name, filters.projectId))}
+                </select>
+                <label class="task-view-field">Due from
+                    <input type="date" class="filter-select" data-action="task-filter" data-field="dueFrom" value="${filters.dueFrom}">
+                </label>
+                <label class="task-view-field">to
+                    <input type="date" class="filter-select" data-action="task-filter" data-field="dueTo" value="${filters.dueTo}">
+                </label>
+                <label class="task-view-field">
+                    <input type="checkbox" data-action="task-filter" data-field="overdue" ${filters.overdue ? 'checked' : ''}> Overdue
+                </label>
+                <select class="filter-select" data-action="task-sort" aria-label="Sort by">
+                    ${Object.entries(TASK_SORT_FIELDS).map(([field, label]) => option(field, field === 'none' ? label : `Sort by ${label.toLowerCase()}`, sort.field))}
+                </select>
+                <button class="icon-btn" data-action="task-sort-direction" ${sort.field === 'none' ? 'disabled' : ''}
+                    aria-label="${sort.direction === 'asc' ? 'Ascending, switch to descending' : 'Descending, switch to ascending'}">
+                    <i class="fas ${sort.direction === 'asc' ? 'fa-arrow-up-short-wide' : 'fa-arrow-down-wide-short'}"></i>
+                </button>
+                <select class="filter-select" data-action="task-group" aria-label="Group by">
+                    ${Object.entries(TASK_GROUPS).map(([field, label]) => option(field, field === 'none' ? label : `Group by ${label.toLowerCase()}`, group))}
+                </select>
+                <button class="btn btn-secondary" data-action="reset-task-view">Reset</button>
             </div>
+            ${this.taskLayout === 'table' ? this.renderTaskTable(groups, projects, statuses, assignees)
+                : groups.length === 0 ? html`<p>No tasks found.</p>` : groups.map(g => html`
+            ${g.label ? html`<h3 class="task-group-title">${g.label} <span>${g.tasks.length}</span></h3>` : ''}
+            <div class="task-list">
+                ${g.tasks.map(task => this.renderTaskListItem(task, true))}
+            </div>`)}
         `;
-        
-        return html;
     }
 
-    renderTasks() {
-        let tasks = this.taskManager.getAllTasks();
-        
-        if (this.searchQuery) {
-            tasks = tasks.filter(t => 
-                t.name.toLowerCase().includes(this.searchQuery) ||
-                t.description.toLowerCase().includes(this.searchQuery)
-            );
+    // Dense layout of the Tasks page for triage. Cells are edited in place and navigated with
+    // the keyboard like a spreadsheet (see handleTableKeydown); ticked rows get bulk actions.
+    renderTaskTable(groups, projects, statuses, assignees) {
+        const visible = groups.flatMap(g => g.tasks);
+        // Rows filtered out of the view drop out of the selection
+        this.selectedTasks = new Map(visible.filter(t => this.selectedTasks.has(t.id)).map(t => [t.id, t.projectId]));
+        const allSelected = visible.length > 0 && this.selectedTasks.size === visible.length;
+        const focused = visible.some(t => this.tableCell && t.id === this.tableCell.taskId) ? this.tableCell : null;
+        const tabindex = (task, field) => (focused ? focused.taskId === task.id && focused.field === field : task === visible[0] && field === 'select') ? 0 : -1;
+        const cell = (task, field, content) => html`
+            <td data-field="${field}" tabindex="${tabindex(task, field)}" ${this.can(task.projectId, 'edit') ? 'data-editable' : ''}>${content}</td>`;
+
+        const bulkBar = this.selectedTasks.size === 0 ? '' : html`
+            <div class="bulk-bar" role="toolbar" aria-label="Bulk actions">
+                <strong>${this.selectedTasks.size} selected</strong>
+                <select class="filter-select" data-action="bulk-status" aria-label="Set status">
+                    <option value="">Set status...</option>
+                    ${statuses.map(status => html`<option value="${status}">${status}</option>`)}
+                </select>
+                <form class="bulk-form" data-action="bulk-assign">
+                    <input type="text" name="assignee" class="filter-select" list="taskTableAssignees" placeholder="Assignee" aria-label="Assignee">
+                    <button type="submit" class="btn btn-secondary">Reassign</button>
+                </form>
+                <select class="filter-select" data-action="bulk-move" aria-label="Move to project">
+                    <option value="">Move to...</option>
+                    ${projects.filter(p => this.projectManager.can(p, 'edit')).map(p => html`<option value="${p.id}">${p.name}</option>`)}
+                </select>
+                <label class="task-view-field">Due
+                    <input type="date" class="filter-select" data-action="bulk-due" aria-label="Set due date">
+                </label>
+                <button class="btn btn-secondary" data-action="bulk-delete"><i class="fas fa-trash"></i> Delete</button>
+                <button class="btn-link" data-action="clear-selection">Clear selection</button>
+            </div>`;
+
+        return html`
+            ${bulkBar}
+            <datalist id="taskTableAssignees">${assignees.map(assignee => html`<option value="${assignee}"></option>`)}</datalist>
+            <p class="sr-only" id="taskTableHelp">Arrow keys move between cells. Enter or F2 edits a cell, Enter saves it and Escape cancels.</p>
+            <div class="task-table-wrapper">
+                <table class="task-table" role="grid" aria-label="Tasks" aria-describedby="taskTableHelp">
+                    <thead>
+                        <tr>
+                            <th scope="col">
+                                <input type="checkbox" data-action="select-all-tasks" aria-label="Select all tasks" ${allSelected ? 'checked' : ''}>
+                            </th>
+                            <th scope="col">Name</th>
+                            <th scope="col">Status</th>
+                            <th scope="col">Priority</th>
+                            <th scope="col">Due date</th>
+                            <th scope="col">Assignee</th>
+                            <th scope="col">Project</th>
+                            <th scope="col"><span class="sr-only">Actions</span></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${visible.length === 0 ? html`<tr><td colspan="8">No tasks found.</td></tr>` : ''}
+                        ${groups.map(g => html`
+                        ${g.label ? html`<tr class="task-table-group"><th colspan="8" scope="rowgroup">${g.label} <span>${g.tasks.length}</span></th></tr>` : ''}
+                        ${g.tasks.map(task => html`
+                        <tr data-project-id="${task.projectId}" data-task-id="${task.id}" class="${this.selectedTasks.has(task.id) ? 'selected' : ''}"
+                            aria-selected="${this.selectedTasks.has(task.id)}">
+                            <td data-field="select">
+                                <input type="checkbox" tabindex="${tabindex(task, 'select')}" aria-label="Select ${task.name}" ${this.selectedTasks.has(task.id) ? 'checked' : ''}
+                                    data-action="select-task" data-project-id="${task.projectId}" data-task-id="${task.id}">
+                            </td>
+                            ${cell(task, 'name', task.name)}
+                            ${cell(task, 'status', html`<span class="badge-status ${task.status.toLowerCase().replace(' ', '-')}">${task.status}</span>`)}
+                            ${cell(task, 'priority', html`<span class="badge-priority ${task.priority.toLowerCase()}">${task.priority}</span>`)}
+                            ${cell(task, 'dueDate', task.dueDate ? html`<span class="${task.isOverdue() ? 'task-due-date overdue' : ''}">${new Date(task.dueDate).toLocaleDateString()}</span>` : '')}
+                            ${cell(task, 'assignee', task.assignee)}
+                            <td>${task.projectName}</td>
+                            <td>
+                                ${this.can(task.projectId, 'edit') ? html`
+                                <button class="icon-btn" tabindex="-1" data-action="edit-task" data-project-id="${task.projectId}" data-task-id="${task.id}" aria-label="Edit ${task.name}">
+                                    <i class="fas fa-edit"></i>
+                                </button>` : ''}
+                            </td>
+                        </tr>`)}`)}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    // Move or duplicate dialog, opened from task cards and the task modal
+    openTransfer(projectId, taskId) {
+        const task = this.taskManager.getTask(projectId, taskId);
+        if (!task) return;
+        this.transferring = { projectId, taskId };
+        const projects = this.projectManager.getAllProjects().filter(p => this.projectManager.can(p, 'edit'));
+        const others = projects.filter(p => p.id !== projectId);
+        const select = document.getElementById('taskTransferProject');
+        select.innerHTML = html`${projects.map(p => html`
+            <option value="${p.id}">${p.id === projectId ? `${p.name} (current)` : p.name}</option>
+        `)}`;
+        select.value = others.length > 0 ? others[0].id : projectId;
+        document.getElementById('taskTransferTitle').textContent = `Move or Duplicate "${task.name}"`;
+        this.updateTransferButtons();
+        document.getElementById('taskTransferModal').classList.add('active');
+        select.focus();
+    }
+
+    // A task can be duplicated into its own project, but not moved there
+    updateTransferButtons() {
+        const targetProjectId = document.getElementById('taskTransferProject').value;
+        document.getElementById('taskTransferMove').disabled = targetProjectId === this.transferring.projectId;
+    }
+
+    transferTask(mode) {
+        const { projectId, taskId } = this.transferring;
+        const target = this.projectManager.getProject(document.getElementById('taskTransferProject').value);
+        const done = this.guard(() => mode === 'move'
+            ? this.taskManager.moveTask(projectId, taskId, target.id)
+            : this.taskManager.duplicateTask(projectId, taskId, target.id));
+        if (!done) return;
+        closeModal('taskTransferModal');
+        closeModal('taskModal');
+        showToast(`Task ${mode === 'move' ? 'moved' : 'duplicated'} to ${target.name}`, 'success', this.undoAction());
+        this.refresh();
+    }
+
+    // Sidebar shortcuts to each project, which are also drop targets for Kanban cards
+    renderSidebarProjects() {
+        const container = document.getElementById('sidebarProjects');
+        const projects = this.projectManager.getAllProjects();
+        container.hidden = projects.length === 0;
+        container.innerHTML = html`
+            <div class="nav-section-title">Projects</div>
+            ${projects.map(project => html`
+            <a href="#" class="nav-item sidebar-project ${project.id === this.currentProjectId ? 'active' : ''}"
+                data-action="open-project" data-project-id="${project.id}">
+                <i class="fas fa-folder"></i>
+                <span>${project.name}</span>
+            </a>`)}
+        `;
+    }
+
+    openProject(projectId) {
+        this.currentPage = 'projects';
+        this.viewProjectDetails(projectId);
+        document.querySelectorAll('.nav-item').forEach(i => i.classList.toggle('active',
+            i.dataset.page === 'projects' || (i.matches('.sidebar-project') && i.dataset.projectId === projectId)));
+    }
+
+    setTaskLayout(layout) {
+        this.taskLayout = layout;
+        StorageManager.save('taskLayout', layout);
+        this.renderContent('tasks');
+    }
+
+    // Re-renders the Tasks page, keeping keyboard focus on the table cell it was on
+    rerenderTasks() {
+        const active = document.activeElement;
+        const hadFocus = Boolean(active && active.closest('.task-table'));
+        this.renderContent('tasks');
+        if (hadFocus) this.focusTableCell();
+    }
+
+    getTableCell(taskId, field) {
+        const row = document.querySelector(`.task-table tr[data-task-id="${CSS.escape(taskId)}"]`);
+        return row && row.querySelector(`td[data-field="${field}"]`);
+    }
+
+    // The select column's checkbox takes focus in place of its cell
+    focusTableCell(dx = 0, dy = 0) {
+        if (!this.tableCell) return;
+        const rows = [...document.querySelectorAll('.task-table tbody tr[data-task-id]')];
+        const current = this.getTableCell(this.tableCell.taskId, this.tableCell.field);
+        if (!current) return;
+        const cells = (row) => [...row.querySelectorAll('td[data-field]')];
+        const row = rows.indexOf(current.parentElement);
+        const column = cells(current.parentElement).indexOf(current);
+        const targetRow = rows[Math.max(0, Math.min(rows.length - 1, row + dy))];
+        const target = cells(targetRow)[Math.max(0, Math.min(cells(targetRow).length - 1, column + dx))];
+
+        document.querySelectorAll('.task-table [tabindex="0"]').forEach(el => el.setAttribute('tabindex', '-1'));
+        const focusable = target.dataset.field === 'select' ? target.querySelector('input') : target;
+        focusable.setAttribute('tabindex', '0');
+        focusable.focus();
+        this.tableCell = { taskId: targetRow.dataset.taskId, field: target.dataset.field };
+    }
+
+    handleTableKeydown(e) {
+        if (this.cellEdit) {
+            if (e.target !== this.cellEdit.editor) return;
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                e.stopPropagation();
+                this.cancelCellEdit();
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                this.commitCellEdit(0, 1);
+            } else if (e.key === 'Tab') {
+                e.preventDefault();
+                this.commitCellEdit(e.shiftKey ? -1 : 1, 0);
+            }
+            return;
         }
-        
-        const taskItems = tasks.map(task => `
+
+        const cell = e.target.closest('td[data-field]');
+        if (!cell) return;
+        const moves = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1], Home: [-Infinity, 0], End: [Infinity, 0] };
+        if (moves[e.key]) {
+            e.preventDefault();
+            this.focusTableCell(...moves[e.key]);
+        } else if ((e.key === 'Enter' || e.key === 'F2') && cell.hasAttribute('data-editable')) {
+            e.preventDefault();
+            this.editCell(cell);
+        }
+    }
+
+    // Swaps the cell's text for an editor; it is saved on Enter, Tab or leaving the cell
+    editCell(cell) {
+        const { projectId, taskId } = cell.parentElement.dataset;
+        const field = cell.dataset.field;
+        const project = this.projectManager.getProject(projectId);
+        const task = this.taskManager.getTask(projectId, taskId);
+        if (!task || this.cellEdit) return;
+
+        const options = { status: project.workflow.map(c => c.name), priority: [...TASK_PRIORITIES].reverse() }[field];
+        const editor = document.createElement(options ? 'select' : 'input');
+        if (options) {
+            options.forEach(value => editor.add(new Option(value, value)));
+        } else {
+            editor.type = field === 'dueDate' ? 'date' : 'text';
+            if (field === 'assignee') editor.setAttribute('list', 'taskTableAssignees');
+        }
+        editor.value = task[field] || '';
+        editor.className = 'task-table-editor';
+        editor.setAttribute('aria-label', `${cell.closest('table').querySelectorAll('thead th')[cell.cellIndex].textContent.trim()} of ${task.name}`);
+
+        this.tableCell = { taskId, field };
+        this.cellEdit = { projectId, taskId, field, editor, content: cell.innerHTML };
+        cell.innerHTML = '';
+        cell.appendChild(editor);
+        editor.focus();
+        if (editor.select) editor.select();
+    }
+
+    cancelCellEdit() {
+        const edit = this.cellEdit;
+        if (!edit) return;
+        this.cellEdit = null;
+        const cell = this.getTableCell(edit.taskId, edit.field);
+        if (cell) cell.innerHTML = edit.content;
+        this.focusTableCell();
+    }
+
+    // Saves the edit, then moves focus by (dx, dy) cells from the edited one
+    commitCellEdit(dx = 0, dy = 0) {
+        const edit = this.cellEdit;
+        if (!edit) return;
+        this.cellEdit = null;
+        const { projectId, taskId, field } = edit;
+        const task = this.taskManager.getTask(projectId, taskId);
+        const value = edit.editor.type === 'text' ? edit.editor.value.trim() : edit.editor.value;
+        if (task && value !== (task[field] || '')) {
+            if (field === 'name' && value.length < 3) {
+                showToast('Task names need at least 3 characters', 'error');
+            } else {
+                this.guard(() => this.taskManager.updateTask(projectId, taskId, { [field]: value }));
+                this.updateNotifications();
+            }
+        }
+        const active = document.activeElement;
+        const refocus = active === edit.editor || Boolean(active && active.closest('.task-table'));
+        this.renderContent('tasks');
+        if (refocus) this.focusTableCell(dx, dy);
+    }
+
+    toggleTaskSelection(projectId, taskId, selected) {
+        if (selected) {
+            this.selectedTasks.set(taskId, projectId);
+        } else {
+            this.selectedTasks.delete(taskId);
+        }
+        this.rerenderTasks();
+    }
+
+    selectAllTasks(selected) {
+        this.selectedTasks = new Map(selected
+            ? [...document.querySelectorAll('.task-table tbody tr[data-task-id]')].map(row => [row.dataset.taskId, row.dataset.projectId])
+            : []);
+        this.rerenderTasks();
+    }
+
+    // Runs a TaskManager bulk edit on the ticked rows and reports any that were skipped
+    runBulkAction(message, action, keepSelection = true) {
+        const refs = [...this.selectedTasks].map(([taskId, projectId]) => ({ projectId, taskId }));
+        if (refs.length === 0) return;
+        const errors = action(refs);
+        if (errors.length > 0) {
+            showToast(`${refs.length - errors.length} of ${refs.length} tasks ${message}. ${errors[0].message}`, 'error');
+        } else {
+            showToast(`${refs.length} ${refs.length === 1 ? 'task' : 'tasks'} ${message}`, 'success', this.undoAction());
+        }
+        if (!keepSelection) this.selectedTasks.clear();
+        this.renderContent('tasks');
+        this.updateNotifications();
+    }
+
+    bulkDelete() {
+        const count = this.selectedTasks.size;
+        showConfirm(`Move ${count} ${count === 1 ? 'task' : 'tasks'} to the trash?`, () =>
+            this.runBulkAction('moved to the trash', refs => this.taskManager.deleteTasks(refs), false));
+    }
+
+    // Fills in filters added since a view was saved
+    copyView(view) {
+        return {
+            filters: { ...TASK_VIEW_DEFAULT.filters, ...view.filters },
+            sort: { ...TASK_VIEW_DEFAULT.sort, ...view.sort },
+            group: view.group || TASK_VIEW_DEFAULT.group
+        };
+    }
+
+    // Any change to the filters, sort or grouping leaves the saved view that was open
+    setTaskView(changes) {
+        this.taskView = this.copyView({ ...this.taskView, ...changes });
+        this.activeViewId = null;
+        StorageManager.save('taskView', this.taskView);
+        this.renderSavedViews();
+        this.renderContent('tasks');
+    }
+
+    setTaskFilter(field, value) {
+        this.setTaskView({ filters: { ...this.taskView.filters, [field]: value } });
+    }
+
+    // Saving under an existing name replaces that view
+    saveView(name) {
+        name = name.trim();
+        if (!name) return;
+        const existing = this.savedViews.find(v => v.name === name);
+        const view = { id: existing ? existing.id : generateId(), name, ...this.copyView(this.taskView) };
+        this.savedViews = existing
+            ? this.savedViews.map(v => v.id === view.id ? view : v)
+            : [...this.savedViews, view];
+        StorageManager.save('savedViews', this.savedViews);
+        this.activeViewId = view.id;
+        this.renderSavedViews();
+        this.renderContent('tasks');
+        showToast(existing ? 'View updated' : 'View saved', 'success');
+    }
+
+    openView(id) {
+        const view = this.savedViews.find(v => v.id === id);
+        if (!view) return;
+        this.taskView = this.copyView(view);
+        StorageManager.save('taskView', this.taskView);
+        this.renderPage('tasks');
+        this.activeViewId = id;
+        document.querySelectorAll('.nav-item').forEach(i => i.classList.toggle('active', i.dataset.page === 'tasks'));
+        this.renderSavedViews();
+    }
+
+    deleteView(id) {
+        this.savedViews = this.savedViews.filter(v => v.id !== id);
+        StorageManager.save('savedViews', this.savedViews);
+        if (this.activeViewId === id) this.activeViewId = null;
+        this.renderSavedViews();
+        if (this.currentPage === 'tasks' && !this.currentProjectId) this.renderContent('tasks');
+        showToast('View deleted', 'success');
+    }
+
+    // Sidebar shortcuts under the page links
+    renderSavedViews() {
+        const container = document.getElementById('savedViews');
+        container.hidden = this.savedViews.length === 0;
+        container.innerHTML = html`
+            <div class="nav-section-title">Saved views</div>
+            ${this.savedViews.map(view => html`
+            <div class="saved-view">
+                <a href="#" class="nav-item ${view.id === this.activeViewId ? 'active' : ''}" data-action="open-view" data-view-id="${view.id}">
+                    <i class="fas fa-filter"></i>
+                    <span>${view.name}</span>
+                </a>
+                <button class="icon-btn" data-action="delete-view" data-view-id="${view.id}" aria-label="Delete view ${view.name}">
+                    <i class="fas fa-xmark"></i>
+                </button>
+            </div>`)}
+        `;
+    }
+
+    renderTaskListItem(task, showProject) {
+        return html`
             <div class="task-list-item">
-                <input type="checkbox" class="task-checkbox" ${task.completed ? 'checked' : ''} 
-                    onchange="uiController.toggleTaskComplete('${task.projectId}', '${task.id}', this.checked)">
+                <input type="checkbox" class="task-checkbox" ${task.completed ? 'checked' : ''} ${this.can(task.projectId, 'edit') ? '' : 'disabled'}
+                    data-action="toggle-task" data-project-id="${task.projectId}" data-task-id="${task.id}">
                 <div class="task-list-content">
                     <div class="task-card-header">
                         <div class="task-card-title">${task.name}</div>
+                        ${this.can(task.projectId, 'edit') ? html`
                         <div class="project-card-actions">
-                            <button class="icon-btn" onclick="uiController.editTask('${task.projectId}', '${task.id}')">
+                            ${this.renderTimerButton(task)}
+                            <button class="icon-btn" data-action="edit-task" data-project-id="${task.projectId}" data-task-id="${task.id}">
                                 <i class="fas fa-edit"></i>
                             </button>
-                            <button class="icon-btn" onclick="uiController.deleteTask('${task.projectId}', '${task.id}')">
+                            <button class="icon-btn" data-action="open-transfer" data-project-id="${task.projectId}" data-task-id="${task.id}"
+                                aria-label="Move or duplicate ${task.name}" title="Move or duplicate">
+                                <i class="fas fa-right-left"></i>
+                            </button>
+                            <button class="icon-btn" data-action="delete-task" data-project-id="${task.projectId}" data-task-id="${task.id}">
                                 <i class="fas fa-trash"></i>
                             </button>
-                        </div>
+                        </div>` : ''}
                     </div>
-                    ${task.description ? `<div class="task-card-description">${task.description}</div>` : ''}
+                    ${task.description ? html`<div class="task-card-description">${task.description}</div>` : ''}
                     <div class="task-card-meta">
                         <span class="badge-status ${task.status.toLowerCase().replace(' ', '-')}">${task.status}</span>
                         <span class="badge-priority ${task.priority.toLowerCase()}">${task.priority}</span>
-                        <span><i class="fas fa-folder"></i> ${task.projectName}</span>
-                        ${task.assignee ? `<span><i class="fas fa-user"></i> ${task.assignee}</span>` : ''}
-                        ${task.dueDate ? `<span class="${task.isOverdue() ? 'task-due-date overdue' : 'task-due-date'}">
+                        ${this.renderBlockedBadge(task)}
+                        ${this.renderChecklistCount(task)}
+                        ${this.renderRecurrenceBadge(task)}
+                        ${this.renderTimeBadge(task)}
+                        ${this.renderCommentsButton(task)}
+                        ${showProject ? html`<span><i class="fas fa-folder"></i> ${task.projectName}</span>` : ''}
+                        ${task.assignee ? html`<span><i class="fas fa-user"></i> ${task.assignee}</span>` : ''}
+                        ${task.dueDate ? html`<span class="${task.isOverdue() ? 'task-due-date overdue' : 'task-due-date'}">
                             <i class="fas fa-calendar"></i> ${new Date(task.dueDate).toLocaleDateString()}
                         </span>` : ''}
                     </div>
+                    ${this.renderChecklist(task)}
                 </div>
             </div>
-        `).join('');
-        
-        return `
-            <div class="page-header">
-                <h1>All Tasks</h1>
-            </div>
-            <div class="task-list">
-                ${taskItems || '<p>No tasks found.</p>'}
-            </div>
         `;
     }
 
+    renderChecklistCount(task) {
+        if (task.checklist.length === 0) return '';
+        return html`<span class="task-checklist-count"><i class="fas fa-list-check"></i> ${task.getChecklistDone()}/${task.checklist.length}</span>`;
+    }
+
+    renderRecurrenceBadge(task) {
+        if (!task.recurrence) return '';
+        return html`<span class="task-recurrence" title="${Recurrence.describe(task.recurrence)}">
+            <i class="fas fa-repeat"></i> ${Recurrence.describe(task.recurrence)}
+        </span>`;
+    }
+
+    renderTimerButton(task) {
+        const running = this.timeTracker.isRunning(task.id);
+        return html`<button class="icon-btn timer-btn ${running ? 'running' : ''}" data-action="toggle-timer" data-project-id="${task.projectId}" data-task-id="${task.id}"
+            aria-label="${running ? 'Stop timer' : 'Start timer'}" aria-pressed="${running}">
+            <i class="fas ${running ? 'fa-stop' : 'fa-play'}"></i>
+        </button>`;
+    }
+
+    // Logged against estimated time, plus the running timer's elapsed time when it's on this task
+    renderTimeBadge(task) {
+        const running = this.timeTracker.isRunning(task.id);
+        if (!running && !task.estimate && task.timeEntries.length === 0) return '';
+        const logged = formatDuration(task.getLoggedMinutes());
+        const over = task.estimate && task.getLoggedMinutes() > task.estimate * 60;
+        return html`<span class="task-time ${over ? 'over-estimate' : ''}" title="Logged / estimated">
+            <i class="fas fa-clock"></i> ${task.estimate ? `${logged} / ${formatDuration(task.estimate * 60)}` : logged}
+            ${running ? html`<span class="timer-elapsed">${formatElapsed(this.timeTracker.getElapsed())}</span>` : ''}
+        </span>`;
+    }
+
+    // Opens the task's detail panel with its comments and history
+    renderCommentsButton(task) {
+        return html`<button class="task-comments-btn" data-action="view-task" data-project-id="${task.projectId}" data-task-id="${task.id}"
+            aria-label="Comments and activity for ${task.name}">
+            <i class="fas fa-comment"></i> ${task.comments.length}
+        </button>`;
+    }
+
+    renderChecklist(task) {
+        const editable = this.can(task.projectId, 'edit');
+        if (task.checklist.length === 0 && !editable) return '';
+        const ids = html`data-project-id="${task.projectId}" data-task-id="${task.id}"`;
+        return html`
+            <ul class="checklist">
+                ${task.checklist.map(item => html`
+                <li class="checklist-item ${item.done ? 'done' : ''}">
+                    <label>
+                        <input type="checkbox" ${item.done ? 'checked' : ''} ${editable ? '' : 'disabled'}
+                            data-action="toggle-checklist-item" ${ids} data-item-id="${item.id}">
+                        <span>${item.text}</span>
+                    </label>
+                    ${editable ? html`
+                    <button class="icon-btn" data-action="remove-checklist-item" ${ids} data-item-id="${item.id}" aria-label="Remove item">
+                        <i class="fas fa-times"></i>
+                    </button>` : ''}
+                </li>`)}
+            </ul>
+            ${editable ? html`
+            <form class="checklist-add" data-action="add-checklist-item" ${ids}>
+                <input type="text" name="text" placeholder="Add a checklist item" aria-label="New checklist item">
+            </form>` : ''}
+        `;
+    }
+
+    renderBlockedBadge(task) {
+        const blockers = this.taskManager.getBlockers(task);
+        if (blockers.length === 0) return '';
+        return html`<span class="badge-blocked" title="Waiting on ${blockers.map(t => t.name).join(', ')}">
+            <i class="fas fa-lock"></i> Blocked
+        </span>`;
+    }
+
     renderKanban() {
-        const todoTasks = this.taskManager.getTasksByStatus('To Do');
-        const inProgressTasks = this.taskManager.getTasksByStatus('In Progress');
-        const doneTasks = this.taskManager.getTasksByStatus('Done');
+        const projects = this.projectManager.getAllProjects();
+        const selected = this.projectManager.getProject(this.kanbanProjectId);
+        const boardProjects = selected ? [selected] : projects;
+        const columns = this.kanbanManager.getColumns(boardProjects);
+        const tasks = this.taskManager.getAllTasks()
+            .filter(t => boardProjects.some(p => p.id === t.projectId) && this.matchesSearch(t));
+        const lanes = this.kanbanManager.getLanes(boardProjects, tasks, this.kanbanSwimlane);
         
-        const renderTaskCard = (task) => `
-            <div class="task-card" draggable="true" data-project-id="${task.projectId}" data-task-id="${task.id}">
+        const renderTaskCard = (task) => html`
+            <div class="task-card" tabindex="0" data-editable="${this.can(task.projectId, 'edit')}" data-project-id="${task.projectId}" data-task-id="${task.id}"
+                 aria-roledescription="task card" aria-describedby="kanbanHelp" aria-label="${task.name}">
                 <div class="task-card-header">
                     <div class="task-card-title">${task.name}</div>
+                    ${this.can(task.projectId, 'edit') ? html`
                     <div class="project-card-actions">
-                        <button class="icon-btn" onclick="uiController.editTask('${task.projectId}', '${task.id}')">
+                        ${this.renderTimerButton(task)}
+                        <button class="icon-btn" data-action="edit-task" data-project-id="${task.projectId}" data-task-id="${task.id}">
                             <i class="fas fa-edit"></i>
                         </button>
-                    </div>
+                        <button class="icon-btn" data-action="open-transfer" data-project-id="${task.projectId}" data-task-id="${task.id}"
+                            aria-label="Move or duplicate ${task.name}" title="Move or duplicate">
+                            <i class="fas fa-right-left"></i>
+                        </button>
+                    </div>` : ''}
                 </div>
-                ${task.description ? `<div class="task-card-description">${task.description}</div>` : ''}
+                ${task.description ? html`<div class="task-card-description">${task.description}</div>` : ''}
                 <div class="task-card-meta">
                     <span class="badge-priority ${task.priority.toLowerCase()}">${task.priority}</span>
+                    ${this.renderBlockedBadge(task)}
+                    ${this.renderChecklistCount(task)}
+                    ${this.renderRecurrenceBadge(task)}
+                    ${this.renderTimeBadge(task)}
+                    ${this.renderCommentsButton(task)}
                 </div>
                 <div class="task-card-footer">
-                    ${task.assignee ? `<div class="task-assignee"><i class="fas fa-user"></i> ${task.assignee}</div>` : '<div></div>'}
-                    ${task.dueDate ? `<div class="task-due-date ${task.isOverdue() ? 'overdue' : ''}">
+                    ${task.assignee ? html`<div class="task-assignee"><i class="fas fa-user"></i> ${task.assignee}</div>` : html`<div></div>`}
+                    ${task.dueDate ? html`<div class="task-due-date ${task.isOverdue() ? 'overdue' : ''}">
                         <i class="fas fa-calendar"></i> ${new Date(task.dueDate).toLocaleDateString()}
                     </div>` : ''}
                 </div>
             </div>
         `;
         
-        return `
-            <div class="page-header">
-                <h1>Kanban Board</h1>
-            </div>
-            <div class="kanban-board">
-                <div class="kanban-column">
-                    <div class="kanban-header">
-                        <div class="kanban-title">
-                            <i class="fas fa-circle" style="color: #f59e0b;"></i>
-                            To Do
-                            <span class="kanban-count">${todoTasks.length}</span>
-                        </div>
-                    </div>
-                    <div class="kanban-tasks" data-status="To Do">
-                        ${todoTasks.map(renderTaskCard).join('')}
-                    </div>
-                </div>
-                
-                <div class="kanban-column">
+        // WIP limits count the whole column, across lanes
+        const renderColumn = (column, index, lane) => {
+            const columnTasks = this.kanbanManager.getColumnTasks(tasks, column.name);
+            const laneTasks = this.kanbanManager.getLaneTasks(columnTasks, lane);
+            const color = column.done ? '#10b981' : index === 0 ? '#f59e0b' : '#3b82f6';
+            const overLimit = column.wipLimit > 0 && columnTasks.length > column.wipLimit;
+            return html`
+                <div class="kanban-column ${overLimit ? 'over-limit' : ''}">
                     <div class="kanban-header">
                         <div class="kanban-title">
-                            <i class="fas fa-circle" style="color: #3b82f6;"></i>
-                            In Progress
-                            <span class="kanban-count">${inProgressTasks.length}</span>
+                            <i class="fas fa-circle" style="color: ${color};"></i>
+                            ${column.name}
+                            <span class="kanban-count" title="${column.wipLimit ? `${columnTasks.length} of a limit of ${column.wipLimit} tasks` : ''}">
+                                ${laneTasks.length}${column.wipLimit && !lane.field ? `/${column.wipLimit}` : ''}
+                            </span>
                         </div>
                     </div>
-                    <div class="kanban-tasks" data-status="In Progress">
-                        ${inProgressTasks.map(renderTaskCard).join('')}
+                    <div class="kanban-tasks" data-status="${column.name}" data-lane="${lane.field || ''}" data-lane-value="${lane.value}">
+                        ${laneTasks.map(renderTaskCard)}
                     </div>
                 </div>
-                
-                <div class="kanban-column">
-                    <div class="kanban-header">
-                        <div class="kanban-title">
-                            <i class="fas fa-circle" style="color: #10b981;"></i>
-                            Done
-                            <span class="kanban-count">${doneTasks.length}</span>
-                        </div>
-                    </div>
-                    <div class="kanban-tasks" data-status="Done">
-                        ${doneTasks.map(renderTaskCard).join('')}
-                    </div>
+            `;
+        };
+        
+        return html`
+            <div class="page-header">
+                <h1>Kanban Board</h1>
+                <div style="display: flex; gap: 12px;">
+                    <select class="filter-select" data-action="kanban-project" aria-label="Project">
+                        <option value="all">All Projects</option>
+                        ${projects.map(p => html`<option value="${p.id}" ${selected === p ? 'selected' : ''}>${p.name}</option>`)}
+                    </select>
+                    <select class="filter-select" data-action="kanban-swimlane" aria-label="Swimlanes">
+                        ${Object.keys(KANBAN_SWIMLANES).map(swimlane => html`
+                            <option value="${swimlane}" ${swimlane === this.kanbanSwimlane ? 'selected' : ''}>
+                                ${swimlane === 'none' ? 'No swimlanes' : `Lanes by ${swimlane}`}
+                            </option>
+                        `)}
+                    </select>
+                    ${selected && this.projectManager.can(selected, 'edit') ? html`
+                    <button class="btn btn-secondary" data-action="edit-workflow" data-project-id="${selected.id}">
+                        <i class="fas fa-sliders"></i> Edit Workflow
+                    </button>` : ''}
                 </div>
             </div>
+            <p id="kanbanHelp" class="sr-only">Press Space to pick up a task, the arrow keys to move it and Space again to drop it. Escape cancels the move.</p>
+            ${lanes.map(lane => html`
+            <section class="kanban-lane">
+                ${lane.field ? html`<h3 class="kanban-lane-title">${lane.label}</h3>` : ''}
+                <div class="kanban-board">
+                    ${columns.map((column, index) => renderColumn(column, index, lane))}
+                </div>
+            </section>`)}
+        `;
+    }
+
+    setKanbanProject(projectId) {
+        this.kanbanProjectId = projectId;
+        StorageManager.save('kanbanProject', projectId);
+        this.renderContent('kanban');
+    }
+
+    setKanbanSwimlane(swimlane) {
+        this.kanbanSwimlane = swimlane;
+        StorageManager.save('kanbanSwimlane', swimlane);
+        this.renderContent('kanban');
+    }
+
+    openWorkflowModal(projectId) {
+        this.workflowProjectId = projectId;
+        this.renderWorkflowEditor();
+        document.getElementById('workflowModal').classList.add('active');
+    }
+
+    renderWorkflowEditor() {
+        const project = this.projectManager.getProject(this.workflowProjectId);
+        if (!project) return;
+        const ids = (column) => html`data-project-id="${project.id}" data-column-id="${column.id}"`;
+        const last = project.workflow.length - 1;
+
+        document.getElementById('workflowEditor').innerHTML = html`
+            <p class="settings-hint">Columns of ${project.name}, left to right. Tasks in a done column count as completed; a limit of 0 means no limit.</p>
+            <ul class="workflow-list">
+                ${project.workflow.map((column, i) => html`
+                <li class="workflow-row">
+                    <input type="text" value="${column.name}" data-action="rename-column" ${ids(column)} aria-label="Column name">
+                    <input type="number" min="0" value="${column.wipLimit}" data-action="set-column-limit" ${ids(column)} aria-label="WIP limit">
+                    <label><input type="checkbox" ${column.done ? 'checked' : ''} data-action="set-column-done" ${ids(column)}> Done</label>
+                    <button type="button" class="icon-btn" data-action="move-column" data-offset="-1" ${ids(column)} ${i === 0 ? 'disabled' : ''} aria-label="Move up">
+                        <i class="fas fa-arrow-up"></i>
+                    </button>
+                    <button type="button" class="icon-btn" data-action="move-column" data-offset="1" ${ids(column)} ${i === last ? 'disabled' : ''} aria-label="Move down">
+                        <i class="fas fa-arrow-down"></i>
+                    </button>
+                    <button type="button" class="icon-btn" data-action="delete-column" ${ids(column)} aria-label="Delete column">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </li>`)}
+            </ul>
+            <form class="checklist-add" data-action="add-column" data-project-id="${project.id}">
+                <input type="text" name="name" placeholder="New column, e.g. In Review" aria-label="New column name">
+                <button type="submit" class="btn btn-secondary"><i class="fas fa-plus"></i> Add</button>
+            </form>
         `;
     }
 
+    // Failed edits are re-rendered too, so the editor drops the rejected value
+    updateWorkflow(action) {
+        this.guard(action);
+        this.renderWorkflowEditor();
+        if (this.currentPage === 'kanban') this.renderContent('kanban');
+    }
+
+    // Re-rendered right away so keyboard focus can be put back on the moved card
     renderKanbanBoard() {
         if (this.currentPage === 'kanban') {
-            this.renderPage('kanban');
+            this.renderContent('kanban');
         }
     }
 
@@ -737,8 +4812,10 @@ class UIController {
         const dayHeaders = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
         
         const today = new Date();
+        const dayOf = ({ year, month, day }) => formatDay(new Date(year, month, day));
+        const tasksByDay = this.calendarManager.getTasksByDay(dayOf(days[0]), dayOf(days[days.length - 1]));
         
-        return `
+        return html`
             <div class="page-header">
                 <h1>Calendar</h1>
             </div>
@@ -746,39 +4823,225 @@ class UIController {
                 <div class="calendar-header">
                     <h2>${monthNames[month]} ${year}</h2>
                     <div class="calendar-nav">
-                        <button class="btn btn-secondary" onclick="uiController.prevMonth()">
+                        <button class="btn btn-secondary" data-action="prev-month">
                             <i class="fas fa-chevron-left"></i>
                         </button>
-                        <button class="btn btn-secondary" onclick="uiController.todayMonth()">Today</button>
-                        <button class="btn btn-secondary" onclick="uiController.nextMonth()">
+                        <button class="btn btn-secondary" data-action="today-month">Today</button>
+                        <button class="btn btn-secondary" data-action="next-month">
                             <i class="fas fa-chevron-right"></i>
                         </button>
                     </div>
                 </div>
                 <div class="calendar-grid">
-                    ${dayHeaders.map(day => `<div class="calendar-day-header">${day}</div>`).join('')}
+                    ${dayHeaders.map(day => html`<div class="calendar-day-header">${day}</div>`)}
                     ${days.map(day => {
                         const date = new Date(day.year, day.month, day.day);
-                        const tasks = this.calendarManager.getTasksForDate(date);
+                        const tasks = (tasksByDay.get(formatDay(date)) || []).filter(t => this.matchesSearch(t));
                         const isToday = date.toDateString() === today.toDateString();
                         
-                        return `
+                        return html`
                             <div class="calendar-day ${!day.isCurrentMonth ? 'other-month' : ''} ${isToday ? 'today' : ''}"
-                                 onclick="uiController.showDayTasks('${date.toISOString()}')">
+                                 data-action="show-day" data-date="${date.toISOString()}">
                                 <div class="calendar-day-number">${day.day}</div>
                                 <div class="calendar-day-tasks">
-                                    ${tasks.slice(0, 3).map(() => '<div class="calendar-task-dot"></div>').join('')}
+                                    ${tasks.slice(0, 3).map(t => html`<div class="calendar-task-dot ${t.upcoming ? 'upcoming' : ''}"></div>`)}
                                 </div>
                             </div>
                         `;
-                    }).join('')}
+                    })}
+                </div>
+            </div>
+        `;
+    }
+
+    renderTimeline() {
+        const timeline = this.timelineManager;
+        const rows = timeline.getRows(this.projectManager.getAllProjects().filter(p => this.projectMatchesSearch(p)))
+            .filter(row => !row.task || this.matchesSearch(row.task));
+        const range = timeline.getRange(rows);
+        const dayWidth = timeline.getDayWidth();
+        const width = range.days * dayWidth;
+        const x = (date) => daysBetween(range.start, date) * dayWidth;
+        const y = (index) => index * TIMELINE_ROW_HEIGHT + TIMELINE_ROW_HEIGHT / 2;
+        const today = parseDay(formatDay(new Date()));
+        const formatSpan = (span) => span.start.getTime() === span.end.getTime()
+            ? span.start.toLocaleDateString()
+            : `${span.start.toLocaleDateString()} - ${span.end.toLocaleDateString()}`;
+
+        const rowIndex = new Map();
+        rows.forEach((row, i) => {
+            if (row.task) rowIndex.set(row.task.id, i);
+        });
+
+        // Elbow arrows from the end of each predecessor's bar to the start of its dependent
+        const arrows = rows.flatMap((row, i) => {
+            if (!row.task || !row.span) return [];
+            return row.task.dependsOn
+                .filter(id => rowIndex.has(id) && rows[rowIndex.get(id)].span)
+                .map(id => {
+                    const from = rowIndex.get(id);
+                    const x1 = x(rows[from].span.end) + dayWidth;
+                    const x2 = x(row.span.start);
+                    return html`<path d="M ${x1} ${y(from)} h 8 V ${y(i)} H ${x2}" marker-end="url(#timelineArrow)"></path>`;
+                });
+        });
+
+        const renderBar = (row) => {
+            if (!row.span) return html`<span class="timeline-undated">No dates</span>`;
+            const style = `left: ${x(row.span.start)}px; width: ${x(row.span.end) - x(row.span.start) + dayWidth}px`;
+            if (row.type === 'project') {
+                return html`<div class="timeline-bar project" style="${style}" title="${row.project.name}: ${formatSpan(row.span)}"></div>`;
+            }
+            const editable = this.can(row.project.id, 'edit');
+            return html`
+                <div class="timeline-bar ${row.task.completed ? 'done' : ''} ${this.taskManager.isBlocked(row.task) ? 'blocked' : ''}"
+                     style="${style}" title="${row.task.name}: ${formatSpan(row.span)}"
+                     data-project-id="${row.project.id}" data-task-id="${row.task.id}" data-editable="${editable}">
+                    ${editable ? html`
+                    <span class="timeline-handle" data-edge="start"></span>
+                    <span class="timeline-handle" data-edge="end"></span>` : ''}
+                </div>
+            `;
+        };
+
+        return html`
+            <div class="page-header">
+                <h1>Timeline</h1>
+                <div class="timeline-zoom">
+                    ${Object.keys(TIMELINE_ZOOMS).map(zoom => html`
+                        <button class="btn btn-secondary ${zoom === timeline.zoom ? 'active' : ''}" data-action="timeline-zoom" data-zoom="${zoom}">
+                            ${zoom.charAt(0).toUpperCase() + zoom.slice(1)}
+                        </button>
+                    `)}
+                </div>
+            </div>
+            ${rows.length === 0 ? html`<p>No projects yet. Create one to see it on the timeline.</p>` : html`
+            <div class="timeline">
+                <div class="timeline-row timeline-header">
+                    <div class="timeline-label"></div>
+                    <div class="timeline-track" style="width: ${width}px">
+                        ${timeline.getTicks(range).map(tick => html`
+                            <span class="timeline-tick" style="left: ${tick.offset * dayWidth}px">${tick.label}</span>
+                        `)}
+                    </div>
+                </div>
+                <div class="timeline-body">
+                    ${rows.map(row => html`
+                        <div class="timeline-row ${row.type}" style="height: ${TIMELINE_ROW_HEIGHT}px">
+                            <div class="timeline-label" title="${row.task ? row.task.name : row.project.name}">
+                                ${row.task ? row.task.name : row.project.name}
+                            </div>
+                            <div class="timeline-track" style="width: ${width}px">
+                                ${renderBar(row)}
+                            </div>
+                        </div>
+                    `)}
+                    <svg class="timeline-arrows" width="${width}" height="${rows.length * TIMELINE_ROW_HEIGHT}">
+                        <defs>
+                            <marker id="timelineArrow" viewBox="0 0 8 8" refX="8" refY="4" markerWidth="8" markerHeight="8" orient="auto">
+                                <path d="M 0 0 L 8 4 L 0 8 z"></path>
+                            </marker>
+                        </defs>
+                        ${arrows}
+                    </svg>
+                    ${today >= range.start && x(today) < width ? html`
+                    <div class="timeline-today" style="left: ${x(today)}px"></div>` : ''}
+                </div>
+            </div>`}
+        `;
+    }
+
+    renderTrash() {
+        const { projects, tasks } = this.projectManager.getTrash();
+        const deletedOn = (item) => new Date(item.deletedAt).toLocaleDateString();
+        const retentionOptions = [[7, '7 days'], [30, '30 days'], [90, '90 days'], [0, 'Never']];
+
+        const projectRows = projects.map(project => html`
+            <div class="trash-item">
+                <div>
+                    <div class="task-card-title"><i class="fas fa-folder"></i> ${project.name}</div>
+                    <div class="settings-hint">${project.getTasks().length} tasks &middot; Deleted ${deletedOn(project)}</div>
+                </div>
+                ${this.projectManager.can(project, 'delete') ? html`
+                <div class="member-actions">
+                    <button class="btn btn-secondary" data-action="restore-project" data-project-id="${project.id}">
+                        <i class="fas fa-rotate-left"></i> Restore
+                    </button>
+                    <button class="btn btn-danger" data-action="purge-project" data-project-id="${project.id}">
+                        <i class="fas fa-trash"></i> Delete Forever
+                    </button>
+                </div>` : html`<span class="badge-role">Owners only</span>`}
+            </div>
+        `);
+        const taskRows = tasks.map(({ project, task }) => html`
+            <div class="trash-item">
+                <div>
+                    <div class="task-card-title">${task.name}</div>
+                    <div class="settings-hint"><i class="fas fa-folder"></i> ${project.name} &middot; Deleted ${deletedOn(task)}</div>
+                </div>
+                ${this.can(project.id, 'edit') ? html`
+                <div class="member-actions">
+                    <button class="btn btn-secondary" data-action="restore-task" data-project-id="${project.id}" data-task-id="${task.id}">
+                        <i class="fas fa-rotate-left"></i> Restore
+                    </button>
+                    <button class="btn btn-danger" data-action="purge-task" data-project-id="${project.id}" data-task-id="${task.id}">
+                        <i class="fas fa-trash"></i> Delete Forever
+                    </button>
+                </div>` : html`<span class="badge-role">View only</span>`}
+            </div>
+        `);
+
+        return html`
+            <div class="page-header">
+                <h1>Trash</h1>
+                <div style="display: flex; gap: 12px; align-items: center;">
+                    <label for="trashRetention">Delete items after</label>
+                    <select id="trashRetention" class="filter-select" data-action="trash-retention">
+                        ${retentionOptions.map(([days, label]) => html`
+                        <option value="${days}" ${days === this.trashRetention ? 'selected' : ''}>${label}</option>`)}
+                    </select>
+                    ${projects.length + tasks.length > 0 ? html`
+                    <button class="btn btn-danger" data-action="empty-trash">
+                        <i class="fas fa-trash"></i> Empty Trash
+                    </button>` : ''}
                 </div>
             </div>
+            <div class="chart-card">
+                <h3>Projects</h3>
+                ${projectRows.length ? projectRows : html`<p class="settings-hint">No projects in the trash.</p>`}
+            </div>
+            <div class="chart-card settings-section">
+                <h3>Tasks</h3>
+                ${taskRows.length ? taskRows : html`<p class="settings-hint">No tasks in the trash.</p>`}
+            </div>
         `;
     }
 
+    updateTrash(message, action) {
+        if (!this.guard(action)) return;
+        showToast(message, 'success');
+        this.renderPage('trash');
+        this.updateNotifications();
+    }
+
+    confirmPurge(action) {
+        showConfirm('Delete permanently? This cannot be undone.', () => this.updateTrash('Deleted permanently', action));
+    }
+
+    // Runs at login, hourly, on opening the Trash page and whenever the retention period changes
+    purgeExpiredTrash() {
+        if (this.trashRetention > 0) this.guard(() => this.taskManager.purgeExpired(this.trashRetention));
+    }
+
+    setTrashRetention(days) {
+        this.trashRetention = days;
+        StorageManager.save('trashRetention', days);
+        this.purgeExpiredTrash();
+        this.renderPage('trash');
+    }
+
     renderSettings() {
-        return `
+        return html`
             <div class="page-header">
                 <h1>Settings</h1>
             </div>
@@ -786,16 +5049,118 @@ class UIController {
                 <h3>Application Settings</h3>
                 <p>Theme: Use the toggle in the navbar to switch between light and dark mode.</p>
                 <br>
+                <h3>Server Sync</h3>
+                <p>Share this board with your team through a sync server. Leave empty to keep data in this browser only.</p>
+                <div class="form-group settings-inline">
+                    <input type="url" id="serverUrl" placeholder="http://localhost:3000" value="${this.syncManager.serverUrl}">
+                    <button class="btn btn-primary" data-action="save-server-url">
+                        <i class="fas fa-save"></i> Save
+                    </button>
+                    <button class="btn btn-secondary" data-action="sync-now">
+                        <i class="fas fa-sync"></i> Sync Now
+                    </button>
+                </div>
+                <p class="settings-hint" id="syncPending"></p>
+                <br>
                 <h3>Data Management</h3>
-                <button class="btn btn-primary" onclick="uiController.exportData()">
+                <button class="btn btn-primary" data-action="export-data">
                     <i class="fas fa-download"></i> Export Data
                 </button>
-                <button class="btn btn-secondary" onclick="uiController.importData()">
+                <button class="btn btn-secondary" data-action="import-data">
                     <i class="fas fa-upload"></i> Import Data
                 </button>
-                <button class="btn btn-danger" onclick="uiController.clearAllData()">
+                ${this.authManager.isAdmin() ? html`
+                <button class="btn btn-danger" data-action="clear-all-data">
                     <i class="fas fa-trash"></i> Clear All Data
-                </button>
+                </button>` : ''}
+            </div>
+            <div class="chart-card settings-section">
+                <h3>Change Password</h3>
+                <form id="passwordForm" class="settings-form" novalidate data-action="change-password">
+                    <div class="form-group">
+                        <label>Current Password</label>
+                        <input type="password" id="currentPassword" required autocomplete="current-password">
+                        <span class="error-msg"></span>
+                    </div>
+                    <div class="form-group">
+                        <label>New Password</label>
+                        <input type="password" id="newPassword" required minlength="8" autocomplete="new-password">
+                        <span class="error-msg"></span>
+                    </div>
+                    <div class="form-group">
+                        <label>Confirm New Password</label>
+                        <input type="password" id="confirmNewPassword" required minlength="8" autocomplete="new-password">
+                        <span class="error-msg"></span>
+                    </div>
+                    <button type="submit" class="btn btn-primary">
+                        <i class="fas fa-key"></i> Update Password
+                    </button>
+                </form>
+            </div>
+            ${this.renderTemplateSettings()}
+            ${this.authManager.isAdmin() ? this.renderUserManagement() : ''}
+        `;
+    }
+
+    renderTemplateSettings() {
+        const templates = this.templateManager.templates;
+        const rows = templates.map(template => html`
+            <tr>
+                <td>${template.name}</td>
+                <td>${template.tasks.length}</td>
+                <td>${this.templateManager.getRoles(template).join(', ') || '—'}</td>
+                <td>
+                    <button class="icon-btn" data-action="delete-template" data-template-id="${template.id}" aria-label="Delete template">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </td>
+            </tr>
+        `);
+
+        return html`
+            <div class="chart-card settings-section">
+                <h3>Project Templates</h3>
+                ${templates.length === 0 ? html`
+                <p class="settings-hint">Save a project as a template from its card on the Projects page, then pick it when creating a new project.</p>` : html`
+                <table class="user-table">
+                    <thead>
+                        <tr><th>Name</th><th>Tasks</th><th>Roles</th><th></th></tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>`}
+            </div>
+        `;
+    }
+
+    renderUserManagement() {
+        const rows = this.authManager.getUsers().map(user => html`
+            <tr>
+                <td>${user.name}</td>
+                <td>${user.username}</td>
+                <td>
+                    <select class="filter-select" data-action="change-user-role" data-user-id="${user.id}">
+                        <option value="member" ${user.role === 'member' ? 'selected' : ''}>Member</option>
+                        <option value="admin" ${user.role === 'admin' ? 'selected' : ''}>Admin</option>
+                    </select>
+                </td>
+                <td>
+                    ${user.id === this.authManager.currentUser.id ? '' : html`
+                    <button class="icon-btn" data-action="delete-user" data-user-id="${user.id}" aria-label="Delete user">
+                        <i class="fas fa-trash"></i>
+                    </button>`}
+                </td>
+            </tr>
+        `);
+
+        return html`
+            <div class="chart-card settings-section">
+                <h3>User Management</h3>
+                <table class="user-table">
+                    <thead>
+                        <tr><th>Name</th><th>Username</th><th>Role</th><th></th></tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
             </div>
         `;
     }
@@ -807,6 +5172,16 @@ class UIController {
         const title = document.getElementById('projectModalTitle');
         
         form.reset();
+
+        // Templates only apply to new projects
+        const templates = this.templateManager.templates;
+        document.getElementById('projectTemplate').innerHTML = html`
+            <option value="">Blank project</option>
+            ${templates.map(t => html`<option value="${t.id}">${t.name}</option>`)}
+        `;
+        document.getElementById('projectTemplateGroup').hidden = !!projectId || templates.length === 0;
+        document.getElementById('projectTemplateStart').value = formatDay(new Date());
+        this.updateProjectTemplate();
         
         if (projectId) {
             const project = this.projectManager.getProject(projectId);
@@ -833,14 +5208,24 @@ class UIController {
         const status = document.getElementById('projectStatus').value;
         const priority = document.getElementById('projectPriority').value;
         const deadline = document.getElementById('projectDeadline').value;
+        const templateId = document.getElementById('projectTemplate').value;
         
-        if (id) {
-            this.projectManager.updateProject(id, { name, description, status, priority, deadline });
-            showToast('Project updated successfully', 'success');
-        } else {
-            this.projectManager.createProject(name, description, status, priority, deadline);
-            showToast('Project created successfully', 'success');
-        }
+        const saved = this.guard(() => {
+            if (id) {
+                this.projectManager.updateProject(id, { name, description, status, priority, deadline });
+                showToast('Project updated successfully', 'success');
+            } else if (templateId) {
+                const assignees = Object.fromEntries([...document.querySelectorAll('#projectTemplateRoles [data-role]')]
+                    .map(input => [input.dataset.role, input.value.trim()]));
+                const startDate = document.getElementById('projectTemplateStart').value || formatDay(new Date());
+                this.templateManager.createFromTemplate(templateId, { name, description, status, priority, deadline, startDate, assignees });
+                showToast('Project created from template', 'success');
+            } else {
+                this.projectManager.createProject(name, description, status, priority, deadline);
+                showToast('Project created successfully', 'success');
+            }
+        });
+        if (!saved) return;
         
         autoSave();
         closeModal('projectModal');
@@ -848,14 +5233,68 @@ class UIController {
         this.updateNotifications();
     }
 
-    editProject(id) {
-        this.openProjectModal(id);
+    // Picking a template fills in its details and asks who takes each of its roles
+    updateProjectTemplate() {
+        const template = this.templateManager.getTemplate(document.getElementById('projectTemplate').value);
+        document.getElementById('projectTemplateOptions').hidden = !template;
+        if (!template) return;
+        document.getElementById('projectDescription').value = template.description;
+        document.getElementById('projectPriority').value = template.priority;
+        document.getElementById('projectTemplateRoles').innerHTML = html`${this.templateManager.getRoles(template).map(role => html`
+            <div class="template-role">
+                <label>${role}</label>
+                <input type="text" data-role="${role}" placeholder="${role}">
+            </div>
+        `)}`;
+    }
+
+    editProject(id) {
+        this.openProjectModal(id);
+    }
+
+    duplicateProject(id) {
+        let copy = null;
+        if (!this.guard(() => { copy = this.templateManager.duplicateProject(id); })) return;
+        if (!copy) return;
+        showToast(`Project duplicated as "${copy.name}"`, 'success', this.undoAction());
+        this.refresh();
+        this.updateNotifications();
+    }
+
+    openTemplateModal(projectId) {
+        const project = this.projectManager.getProject(projectId);
+        if (!project) return;
+        this.templating = projectId;
+        const form = document.getElementById('templateForm');
+        form.reset();
+        form.elements.name.value = project.name;
+        document.getElementById('templateModal').classList.add('active');
+        form.elements.name.select();
+    }
+
+    // Saving under an existing name replaces that template
+    saveTemplate(name) {
+        name = name.trim();
+        if (!name) return;
+        const replaced = this.templateManager.templates.some(t => t.name === name);
+        this.templateManager.saveFromProject(this.templating, name);
+        closeModal('templateModal');
+        showToast(replaced ? `Template "${name}" updated` : `Template "${name}" saved`, 'success');
+        if (this.currentPage === 'settings') this.renderContent('settings');
+    }
+
+    deleteTemplate(id) {
+        showConfirm('Delete this project template? Projects created from it are kept.', () => {
+            this.templateManager.deleteTemplate(id);
+            showToast('Template deleted', 'success');
+            this.renderContent('settings');
+        });
     }
 
     deleteProject(id) {
-        showConfirm('Are you sure you want to delete this project? All tasks will be lost.', () => {
-            this.projectManager.deleteProject(id);
-            showToast('Project deleted', 'success');
+        showConfirm('Move this project and its tasks to the trash?', () => {
+            if (!this.guard(() => this.projectManager.deleteProject(id))) return;
+            showToast('Project moved to the trash', 'success', this.undoAction());
             this.renderPage(this.currentPage);
             this.updateNotifications();
         });
@@ -866,47 +5305,27 @@ class UIController {
         const project = this.projectManager.getProject(id);
         const content = document.getElementById('content');
         
-        const taskCards = project.tasks.map(task => `
-            <div class="task-list-item">
-                <input type="checkbox" class="task-checkbox" ${task.completed ? 'checked' : ''} 
-                    onchange="uiController.toggleTaskComplete('${task.projectId}', '${task.id}', this.checked)">
-                <div class="task-list-content">
-                    <div class="task-card-header">
-                        <div class="task-card-title">${task.name}</div>
-                        <div class="project-card-actions">
-                            <button class="icon-btn" onclick="uiController.editTask('${task.projectId}', '${task.id}')">
-                                <i class="fas fa-edit"></i>
-                            </button>
-                            <button class="icon-btn" onclick="uiController.deleteTask('${task.projectId}', '${task.id}')">
-                                <i class="fas fa-trash"></i>
-                            </button>
-                        </div>
-                    </div>
-                    ${task.description ? `<div class="task-card-description">${task.description}</div>` : ''}
-                    <div class="task-card-meta">
-                        <span class="badge-status ${task.status.toLowerCase().replace(' ', '-')}">${task.status}</span>
-                        <span class="badge-priority ${task.priority.toLowerCase()}">${task.priority}</span>
-                        ${task.assignee ? `<span><i class="fas fa-user"></i> ${task.assignee}</span>` : ''}
-                        ${task.dueDate ? `<span class="${task.isOverdue() ? 'task-due-date overdue' : 'task-due-date'}">
-                            <i class="fas fa-calendar"></i> ${new Date(task.dueDate).toLocaleDateString()}
-                        </span>` : ''}
-                    </div>
-                </div>
-            </div>
-        `).join('');
+        const tasks = project.getTasks();
+        this.updateSearchResults();
+        // A project that matches the search itself lists all its tasks
+        const listed = this.searchResults && !this.searchResults.projectIds.has(id)
+            ? tasks.filter(t => this.matchesSearch(t))
+            : tasks;
+        const taskCards = listed.map(task => this.renderTaskListItem(task, false));
         
-        content.innerHTML = `
+        content.innerHTML = html`
             <div class="page-header">
                 <div>
-                    <button class="btn btn-secondary" onclick="uiController.renderPage('projects')">
+                    <button class="btn btn-secondary" data-action="navigate" data-page="projects">
                         <i class="fas fa-arrow-left"></i> Back
                     </button>
                     <h1 style="margin-top: 16px;">${project.name}</h1>
                     <p style="color: var(--text-secondary);">${project.description || 'No description'}</p>
                 </div>
-                <button class="btn btn-primary" onclick="uiController.openTaskModal('${project.id}')">
+                ${this.projectManager.can(project, 'edit') ? html`
+                <button class="btn btn-primary" data-action="new-task" data-project-id="${project.id}">
                     <i class="fas fa-plus"></i> New Task
-                </button>
+                </button>` : ''}
             </div>
             
             <div class="stats-grid" style="margin-bottom: 24px;">
@@ -917,7 +5336,7 @@ class UIController {
                             <i class="fas fa-tasks"></i>
                         </div>
                     </div>
-                    <div class="stat-card-value">${project.tasks.length}</div>
+                    <div class="stat-card-value">${tasks.length}</div>
                 </div>
                 <div class="stat-card">
                     <div class="stat-card-header">
@@ -926,7 +5345,7 @@ class UIController {
                             <i class="fas fa-check"></i>
                         </div>
                     </div>
-                    <div class="stat-card-value">${project.tasks.filter(t => t.completed).length}</div>
+                    <div class="stat-card-value">${tasks.filter(t => t.completed).length}</div>
                 </div>
                 <div class="stat-card">
                     <div class="stat-card-header">
@@ -940,11 +5359,245 @@ class UIController {
             </div>
             
             <div class="task-list">
-                ${taskCards || '<p>No tasks yet. Create your first task!</p>'}
+                ${taskCards.length ? taskCards : html`<p>${tasks.length ? 'No tasks match the search.' : 'No tasks yet. Create your first task!'}</p>`}
+            </div>
+            
+            ${this.renderTimeReport(project)}
+            
+            <div class="chart-card settings-section">
+                <h3>Activity</h3>
+                ${this.renderActivity(project.activity, true)}
+            </div>
+            
+            ${this.renderProjectMembers(project)}
+        `;
+    }
+
+    // Newest first
+    renderActivity(entries, showTask) {
+        if (entries.length === 0) return html`<p class="settings-hint">No activity yet.</p>`;
+        return html`
+            <ul class="activity-list">
+                ${entries.slice(-50).reverse().map(entry => html`
+                <li class="activity-item">
+                    <span><strong>${entry.userName}</strong> ${this.describeActivity(entry, showTask)}</span>
+                    <time datetime="${entry.createdAt}">${new Date(entry.createdAt).toLocaleString()}</time>
+                </li>`)}
+            </ul>
+        `;
+    }
+
+    describeActivity(entry, showTask) {
+        const subject = !entry.taskId ? 'the project' : showTask ? html`"${entry.taskName}"` : 'this task';
+        switch (entry.action) {
+            case 'created': return html`created ${subject}${entry.detail ? ` as the ${entry.detail}` : ''}`;
+            case 'updated': return html`changed the ${entry.detail} of ${subject}`;
+            case 'status': return html`moved ${subject} from ${entry.from} to ${entry.to}`;
+            case 'reordered': return html`reordered ${subject} in ${entry.detail}`;
+            case 'deleted': return html`moved ${subject} to the trash`;
+            case 'moved-out': return html`moved ${subject} to ${entry.detail}`;
+            case 'moved-in': return html`moved ${subject} here from ${entry.detail}`;
+            case 'commented': return html`commented on ${subject}`;
+            case 'restored': return html`restored ${subject} from the trash`;
+            case 'undid': return html`undid "${entry.detail}"`;
+            case 'redid': return html`redid "${entry.detail}"`;
+            default: return html`changed ${subject}`;
+        }
+    }
+
+    renderTimeReport(project) {
+        const report = this.taskManager.getTimeReport(project.id);
+        const tracked = report.rows.filter(row => row.estimate || row.logged);
+        const hours = (value) => formatDuration(Math.round(value * 60));
+        const difference = (row) => {
+            if (!row.estimate) return '';
+            const delta = row.logged - row.estimate;
+            return html`<span class="${delta > 0 ? 'over-estimate' : ''}">${delta > 0 ? '+' : delta < 0 ? '-' : ''}${hours(Math.abs(delta))}</span>`;
+        };
+
+        return html`
+            <div class="chart-card settings-section">
+                <h3>Time</h3>
+                ${tracked.length === 0 ? html`<p class="settings-hint">No estimates or logged time yet.</p>` : html`
+                <table class="time-report">
+                    <thead>
+                        <tr><th>Task</th><th>Estimated</th><th>Logged</th><th>Difference</th></tr>
+                    </thead>
+                    <tbody>
+                        ${tracked.map(row => html`
+                        <tr>
+                            <td>${row.task.name}</td>
+                            <td>${row.estimate ? hours(row.estimate) : '-'}</td>
+                            <td>${hours(row.logged)}</td>
+                            <td>${difference(row)}</td>
+                        </tr>`)}
+                    </tbody>
+                    <tfoot>
+                        <tr>
+                            <th>Total</th>
+                            <th>${hours(report.estimate)}</th>
+                            <th>${hours(report.logged)}</th>
+                            <th>${report.estimate ? difference(report) : ''}</th>
+                        </tr>
+                    </tfoot>
+                </table>`}
+            </div>
+        `;
+    }
+
+    renderProjectMembers(project) {
+        const users = this.authManager.getUsers();
+        const canManage = this.projectManager.can(project, 'manage');
+        const userName = (userId) => {
+            const user = users.find(u => u.id === userId);
+            return user ? user.name : 'Unknown user';
+        };
+        const roleOptions = (selected) => PROJECT_ROLES.map(role =>
+            html`<option value="${role}" ${role === selected ? 'selected' : ''}>${role.charAt(0).toUpperCase() + role.slice(1)}</option>`
+        );
+
+        const rows = project.members.map(member => html`
+            <div class="member-row">
+                <span><i class="fas fa-user"></i> ${userName(member.userId)}</span>
+                ${canManage ? html`
+                <div class="member-actions">
+                    <select class="filter-select" data-action="set-member-role" data-project-id="${project.id}" data-user-id="${member.userId}">
+                        ${roleOptions(member.role)}
+                    </select>
+                    <button class="icon-btn" data-action="remove-member" data-project-id="${project.id}" data-user-id="${member.userId}" aria-label="Remove member">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>` : html`<span class="badge-role">${member.role}</span>`}
+            </div>
+        `);
+
+        const candidates = users.filter(u => !project.members.some(m => m.userId === u.id));
+        const addForm = canManage && candidates.length > 0 ? html`
+            <div class="member-row">
+                <select class="filter-select" id="newMemberUser">
+                    ${candidates.map(u => html`<option value="${u.id}">${u.name} (${u.username})</option>`)}
+                </select>
+                <div class="member-actions">
+                    <select class="filter-select" id="newMemberRole">${roleOptions('editor')}</select>
+                    <button class="btn btn-secondary" data-action="add-member" data-project-id="${project.id}">
+                        <i class="fas fa-user-plus"></i> Add
+                    </button>
+                </div>
+            </div>
+        ` : '';
+
+        return html`
+            <div class="chart-card settings-section">
+                <h3>Members</h3>
+                <p class="settings-hint">Members see this project in their own workspace.</p>
+                ${rows}
+                ${addForm}
+            </div>
+        `;
+    }
+
+    addMember(projectId) {
+        const userId = document.getElementById('newMemberUser').value;
+        const role = document.getElementById('newMemberRole').value;
+        this.setMemberRole(projectId, userId, role);
+    }
+
+    setMemberRole(projectId, userId, role) {
+        try {
+            this.projectManager.setMemberRole(projectId, userId, role);
+            showToast(role ? 'Member updated' : 'Member removed', 'success');
+        } catch (error) {
+            showToast(error.message, 'error');
+        }
+        this.viewProjectDetails(projectId);
+    }
+
+    // Task detail panel: comments and the task's own activity
+    openTaskDetail(projectId, taskId) {
+        this.detailTask = { projectId, taskId };
+        this.replyTo = null;
+        this.renderTaskDetail();
+        document.getElementById('taskDetailModal').classList.add('active');
+    }
+
+    renderTaskDetail() {
+        const { projectId, taskId } = this.detailTask;
+        const project = this.projectManager.getProject(projectId);
+        const task = this.taskManager.getTask(projectId, taskId);
+        if (!task) {
+            closeModal('taskDetailModal');
+            return;
+        }
+
+        const threads = task.comments.filter(c => !c.parentId);
+        const replies = (comment) => task.comments.filter(c => c.parentId === comment.id);
+        const commentForm = (parentId) => html`
+            <form class="comment-form" data-action="add-comment" data-parent-id="${parentId || ''}">
+                <textarea name="text" rows="2" placeholder="${parentId ? 'Write a reply' : 'Write a comment'}" aria-label="${parentId ? 'Reply' : 'Comment'}" required></textarea>
+                <button type="submit" class="btn btn-primary">${parentId ? 'Reply' : 'Comment'}</button>
+            </form>
+        `;
+        const renderComment = (comment) => html`
+            <div class="comment">
+                <div class="comment-header">
+                    <strong>${comment.userName}</strong>
+                    <time datetime="${comment.createdAt}">${new Date(comment.createdAt).toLocaleString()}</time>
+                </div>
+                <div class="comment-text">${this.renderCommentText(comment)}</div>
+            </div>
+        `;
+        const usernames = this.authManager.getUsers().map(u => `@${u.username}`).join(', ');
+
+        document.getElementById('taskDetailTitle').textContent = task.name;
+        document.getElementById('taskDetail').innerHTML = html`
+            <div class="task-card-meta">
+                <span class="badge-status ${task.status.toLowerCase().replace(' ', '-')}">${task.status}</span>
+                <span class="badge-priority ${task.priority.toLowerCase()}">${task.priority}</span>
+                <span><i class="fas fa-folder"></i> ${project.name}</span>
             </div>
+            ${task.description ? html`<p class="task-card-description">${task.description}</p>` : ''}
+            
+            <h3>Comments</h3>
+            ${threads.length === 0 ? html`<p class="settings-hint">No comments yet.</p>` : ''}
+            ${threads.map(thread => html`
+            <div class="comment-thread">
+                ${renderComment(thread)}
+                <div class="comment-replies">
+                    ${replies(thread).map(renderComment)}
+                    ${this.replyTo === thread.id ? commentForm(thread.id) : html`
+                    <button type="button" class="btn-link" data-action="reply-comment" data-comment-id="${thread.id}">Reply</button>`}
+                </div>
+            </div>`)}
+            ${commentForm(null)}
+            <p class="settings-hint">Mention someone with ${usernames}</p>
+            
+            <h3>Activity</h3>
+            ${this.renderActivity(project.activity.filter(entry => entry.taskId === task.id), false)}
         `;
     }
 
+    // Mentions of known users are highlighted; the rest of the text is escaped as usual
+    renderCommentText(comment) {
+        if (comment.mentions.length === 0) return comment.text;
+        const pattern = new RegExp(`(@(?:${comment.mentions.map(m => escapeRegExp(m.username)).join('|')}))(?![\\w.-])`, 'gi');
+        return comment.text.split(pattern).map((part, i) => i % 2 === 1 ? html`<span class="mention">${part}</span>` : part);
+    }
+
+    setReplyTo(commentId) {
+        this.replyTo = commentId;
+        this.renderTaskDetail();
+        document.querySelector('#taskDetail .comment-replies textarea').focus();
+    }
+
+    addComment(text, parentId) {
+        if (!text.trim() || !this.detailTask) return;
+        const { projectId, taskId } = this.detailTask;
+        if (!this.guard(() => this.taskManager.addComment(projectId, taskId, text.trim(), parentId))) return;
+        this.replyTo = null;
+        this.renderTaskDetail();
+        this.refresh();
+    }
+
     // Task Actions
     openTaskModal(projectId, taskId = null) {
         const modal = document.getElementById('taskModal');
@@ -954,19 +5607,49 @@ class UIController {
         form.reset();
         document.getElementById('taskProjectId').value = projectId;
         
-        if (taskId) {
-            const task = this.taskManager.getTask(projectId, taskId);
+        const project = this.projectManager.getProject(projectId);
+        const task = taskId ? this.taskManager.getTask(projectId, taskId) : null;
+        document.getElementById('taskStatus').innerHTML = html`${project.workflow.map(column => html`
+            <option value="${column.name}">${column.name}</option>
+        `)}`;
+        const candidates = project.getTasks().filter(t => t.id !== taskId);
+        const dependsOn = document.getElementById('taskDependsOn');
+        dependsOn.innerHTML = html`${candidates.map(t => html`
+            <option value="${t.id}" ${task && task.dependsOn.includes(t.id) ? 'selected' : ''}>${t.name}</option>
+        `)}`;
+        dependsOn.disabled = candidates.length === 0;
+        this.checklistDraft = task ? task.checklist.map(item => ({ ...item })) : [];
+        this.renderChecklistDraft();
+        document.getElementById('taskEstimate').value = task && task.estimate ? task.estimate : '';
+        this.timeEntriesDraft = task ? task.timeEntries.map(entry => ({ ...entry })) : [];
+        this.renderTimeEntriesDraft();
+        
+        if (task) {
             title.textContent = 'Edit Task';
             document.getElementById('taskId').value = task.id;
             document.getElementById('taskName').value = task.name;
             document.getElementById('taskDescription').value = task.description;
-            document.getElementById('taskStatus').value = task.status;
+            // A task left in a column that was since removed shows as being in the first one
+            document.getElementById('taskStatus').value = project.getColumn(task.status) ? task.status : project.getStartStatus();
             document.getElementById('taskPriority').value = task.priority;
+            document.getElementById('taskStartDate').value = task.startDate;
             document.getElementById('taskDueDate').value = task.dueDate;
             document.getElementById('taskAssignee').value = task.assignee;
         } else {
             title.textContent = 'Create New Task';
         }
+        const transferButton = document.getElementById('taskTransferButton');
+        transferButton.hidden = !task;
+        transferButton.dataset.projectId = projectId;
+        transferButton.dataset.taskId = taskId || '';
+
+        const rule = task && task.recurrence;
+        document.getElementById('taskRepeat').value = rule ? rule.frequency : '';
+        document.getElementById('taskRepeatInterval').value = rule ? rule.interval : 1;
+        document.getElementById('taskRepeatEnds').value = !rule ? 'never' : rule.count ? 'count' : rule.until ? 'until' : 'never';
+        document.getElementById('taskRepeatCount').value = rule && rule.count ? rule.count : 5;
+        document.getElementById('taskRepeatUntil').value = rule ? rule.until : '';
+        this.updateRepeatFields();
         
         modal.classList.add('active');
     }
@@ -980,17 +5663,40 @@ class UIController {
         const description = document.getElementById('taskDescription').value;
         const status = document.getElementById('taskStatus').value;
         const priority = document.getElementById('taskPriority').value;
+        const startDate = document.getElementById('taskStartDate').value;
         const dueDate = document.getElementById('taskDueDate').value;
         const assignee = document.getElementById('taskAssignee').value;
+        const task = taskId ? this.taskManager.getTask(projectId, taskId) : null;
+        // Links to tasks in the trash aren't listed, so they are kept as they were
+        const trashedLinks = task ? task.dependsOn.filter(id => !this.taskManager.getTask(projectId, id)) : [];
+        const dependsOn = [...[...document.getElementById('taskDependsOn').selectedOptions].map(o => o.value), ...trashedLinks];
+        const checklist = this.checklistDraft.filter(item => item.text.trim());
+        const recurrence = this.readRecurrence(task, dueDate);
+        const estimate = Math.max(0, parseFloat(document.getElementById('taskEstimate').value) || 0);
+        const timeEntries = this.timeEntriesDraft.filter(entry => entry.minutes > 0);
         
-        if (taskId) {
-            this.taskManager.updateTask(projectId, taskId, { name, description, status, priority, dueDate, assignee });
-            showToast('Task updated successfully', 'success');
-        } else {
-            this.taskManager.createTask(projectId, name, description, status, priority, dueDate, assignee);
-            showToast('Task created successfully', 'success');
+        if (recurrence && !dueDate) {
+            showToast('Repeating tasks need a due date', 'error');
+            return;
+        }
+        
+        // Both are "YYYY-MM-DD", so they compare correctly as strings
+        if (startDate && dueDate && startDate > dueDate) {
+            showToast('The start date must be on or before the due date', 'error');
+            return;
         }
         
+        const saved = this.guard(() => {
+            if (taskId) {
+                this.taskManager.updateTask(projectId, taskId, { name, description, status, priority, startDate, dueDate, assignee, dependsOn, checklist, recurrence, estimate, timeEntries });
+                showToast('Task updated successfully', 'success');
+            } else {
+                this.taskManager.createTask(projectId, name, description, status, priority, dueDate, assignee, dependsOn, startDate, checklist, recurrence, estimate, timeEntries);
+                showToast('Task created successfully', 'success');
+            }
+        });
+        if (!saved) return;
+        
         autoSave();
         closeModal('taskModal');
         this.renderPage(this.currentPage);
@@ -1002,17 +5708,163 @@ class UIController {
     }
 
     deleteTask(projectId, taskId) {
-        showConfirm('Are you sure you want to delete this task?', () => {
-            this.taskManager.deleteTask(projectId, taskId);
-            showToast('Task deleted', 'success');
+        showConfirm('Move this task to the trash?', () => {
+            if (!this.guard(() => this.taskManager.deleteTask(projectId, taskId))) return;
+            showToast('Task moved to the trash', 'success', this.undoAction());
             this.renderPage(this.currentPage);
             this.updateNotifications();
         });
     }
 
+    // Interval and end fields only apply once a repeat frequency is picked
+    updateRepeatFields() {
+        const frequency = document.getElementById('taskRepeat').value;
+        const ends = document.getElementById('taskRepeatEnds').value;
+        document.getElementById('taskRepeatOptions').hidden = !frequency;
+        document.getElementById('taskRepeatUnit').textContent = frequency ? `${RECURRENCE_UNITS[frequency]}(s)` : '';
+        document.getElementById('taskRepeatCount').hidden = ends !== 'count';
+        document.getElementById('taskRepeatUntil').hidden = ends !== 'until';
+    }
+
+    // Builds the repeat rule from the modal. An edited task keeps its place in the series,
+    // and monthly repeats follow the due date's day of the month.
+    readRecurrence(task, dueDate) {
+        const frequency = document.getElementById('taskRepeat').value;
+        if (!frequency) return null;
+        const ends = document.getElementById('taskRepeatEnds').value;
+        const previous = task && task.recurrence;
+        return {
+            frequency,
+            interval: Math.max(1, parseInt(document.getElementById('taskRepeatInterval').value, 10) || 1),
+            until: ends === 'until' ? document.getElementById('taskRepeatUntil').value : '',
+            count: ends === 'count' ? Math.max(1, parseInt(document.getElementById('taskRepeatCount').value, 10) || 1) : 0,
+            occurrence: previous ? previous.occurrence : 1,
+            monthDay: previous && task.dueDate === dueDate ? previous.monthDay : dueDate ? parseDay(dueDate).getDate() : 1
+        };
+    }
+
+    addChecklistItem(projectId, taskId, text) {
+        if (!text.trim()) return;
+        this.updateChecklist(() => this.taskManager.addChecklistItem(projectId, taskId, text.trim()));
+        // Keep the field focused so several items can be typed in a row
+        const input = document.querySelector(`.checklist-add[data-task-id="${taskId}"] input`);
+        if (input) input.focus();
+    }
+
+    // Re-renders in place rather than through refresh(), which waits while a field has focus
+    updateChecklist(action) {
+        this.guard(action);
+        if (this.currentProjectId) {
+            this.viewProjectDetails(this.currentProjectId);
+        } else {
+            this.renderContent(this.currentPage);
+        }
+        this.updateNotifications();
+    }
+
+    // The task modal edits a copy of the checklist that is only saved with the form
+    renderChecklistDraft() {
+        document.getElementById('taskChecklist').innerHTML = html`${this.checklistDraft.map(item => html`
+            <li class="checklist-item">
+                <input type="checkbox" ${item.done ? 'checked' : ''} data-action="draft-checklist-toggle" data-item-id="${item.id}" aria-label="Done">
+                <input type="text" value="${item.text}" data-action="draft-checklist-text" data-item-id="${item.id}" aria-label="Checklist item">
+                <button type="button" class="icon-btn" data-action="draft-checklist-remove" data-item-id="${item.id}" aria-label="Remove item">
+                    <i class="fas fa-times"></i>
+                </button>
+            </li>
+        `)}`;
+    }
+
+    addChecklistDraftItem() {
+        const input = document.getElementById('taskChecklistInput');
+        const text = input.value.trim();
+        if (!text) return;
+        this.checklistDraft.push({ id: generateId(), text, done: false });
+        input.value = '';
+        this.renderChecklistDraft();
+    }
+
+    editChecklistDraftItem(itemId, changes) {
+        this.checklistDraft = this.checklistDraft.map(item => item.id === itemId ? { ...item, ...changes } : item);
+    }
+
+    removeChecklistDraftItem(itemId) {
+        this.checklistDraft = this.checklistDraft.filter(item => item.id !== itemId);
+        this.renderChecklistDraft();
+    }
+
+    // Logged time is edited as a copy too; durations are entered in hours
+    renderTimeEntriesDraft() {
+        document.getElementById('taskTimeEntries').innerHTML = html`${this.timeEntriesDraft.map(entry => html`
+            <li class="time-entry">
+                <input type="date" value="${entry.date}" data-action="draft-time-edit" data-entry-id="${entry.id}" data-field="date" aria-label="Date">
+                <input type="number" min="0" step="0.25" value="${Math.round(entry.minutes / 6) / 10}" data-action="draft-time-edit" data-entry-id="${entry.id}" data-field="hours" aria-label="Hours">
+                <input type="text" value="${entry.note}" placeholder="Note" data-action="draft-time-edit" data-entry-id="${entry.id}" data-field="note" aria-label="Note">
+                <button type="button" class="icon-btn" data-action="draft-time-remove" data-entry-id="${entry.id}" aria-label="Remove entry">
+                    <i class="fas fa-times"></i>
+                </button>
+            </li>
+        `)}`;
+    }
+
+    addTimeEntryDraft() {
+        this.timeEntriesDraft.push({ id: generateId(), date: formatDay(new Date()), minutes: 60, note: '' });
+        this.renderTimeEntriesDraft();
+    }
+
+    editTimeEntryDraft(entryId, field, value) {
+        const changes = field === 'hours'
+            ? { minutes: Math.round(Math.max(0, parseFloat(value) || 0) * 60) }
+            : { [field]: value };
+        this.timeEntriesDraft = this.timeEntriesDraft.map(entry => entry.id === entryId ? { ...entry, ...changes } : entry);
+    }
+
+    removeTimeEntryDraft(entryId) {
+        this.timeEntriesDraft = this.timeEntriesDraft.filter(entry => entry.id !== entryId);
+        this.renderTimeEntriesDraft();
+    }
+
+    // Starting a timer stops (and logs) whichever one was running
+    toggleTimer(projectId, taskId) {
+        const stopping = this.timeTracker.isRunning(taskId);
+        const saved = this.guard(() => {
+            if (stopping) {
+                const task = this.timeTracker.stop();
+                showToast(task ? 'Time logged' : 'Timer stopped before a minute was recorded', task ? 'success' : 'info');
+            } else {
+                this.timeTracker.start(projectId, taskId);
+            }
+        });
+        if (!saved) return;
+        autoSave();
+        this.updateTimerTicker();
+        this.renderPage(this.currentPage);
+    }
+
+    // Refreshes elapsed times on screen once a second while a timer runs
+    updateTimerTicker() {
+        if (this.timeTracker.active && !this.timerTicker) {
+            this.timerTicker = setInterval(() => {
+                if (!this.timeTracker.active) {
+                    clearInterval(this.timerTicker);
+                    this.timerTicker = null;
+                    return;
+                }
+                const elapsed = formatElapsed(this.timeTracker.getElapsed());
+                document.querySelectorAll('.timer-elapsed').forEach(el => {
+                    el.textContent = elapsed;
+                });
+            }, 1000);
+        }
+    }
+
     toggleTaskComplete(projectId, taskId, completed) {
-        const status = completed ? 'Done' : 'To Do';
-        this.taskManager.updateTask(projectId, taskId, { status, completed });
+        const project = this.projectManager.getProject(projectId);
+        const status = completed ? project.getDoneStatus() : project.getStartStatus();
+        const taskCount = project.tasks.length;
+        this.guard(() => this.taskManager.updateTask(projectId, taskId, { status }));
+        // Completing a repeating task adds its next occurrence
+        if (project.tasks.length > taskCount) showToast('Next occurrence created', 'success');
         this.renderPage(this.currentPage);
         this.updateNotifications();
     }
@@ -1035,15 +5887,15 @@ class UIController {
 
     showDayTasks(dateStr) {
         const date = new Date(dateStr);
-        const tasks = this.calendarManager.getTasksForDate(date);
+        const tasks = this.calendarManager.getTasksForDate(date).filter(t => this.matchesSearch(t));
         
         if (tasks.length === 0) {
             showToast('No tasks for this date', 'info');
             return;
         }
         
-        const taskList = tasks.map(t => `<li>${t.name} - ${t.projectName}</li>`).join('');
-        showConfirm(`<strong>Tasks for ${date.toLocaleDateString()}:</strong><ul style="margin-top: 12px; text-align: left;">${taskList}</ul>`, null, true);
+        const taskList = tasks.map(t => html`<li>${t.name} - ${t.projectName}${t.upcoming ? ' (upcoming repeat)' : ''}</li>`);
+        showConfirm(html`<strong>Tasks for ${date.toLocaleDateString()}:</strong><ul style="margin-top: 12px; text-align: left;">${taskList}</ul>`, null, true);
     }
 
     // Charts
@@ -1057,7 +5909,8 @@ class UIController {
 
     animateCounters() {
         document.querySelectorAll('.stat-card-value').forEach(counter => {
-            const target = parseInt(counter.dataset.target);
+            const target = parseFloat(counter.dataset.target);
+            const suffix = counter.dataset.suffix || '';
             const duration = 1000;
             const step = target / (duration / 16);
             let current = 0;
@@ -1065,10 +5918,10 @@ class UIController {
             const timer = setInterval(() => {
                 current += step;
                 if (current >= target) {
-                    counter.textContent = target;
+                    counter.textContent = target + suffix;
                     clearInterval(timer);
                 } else {
-                    counter.textContent = Math.floor(current);
+                    counter.textContent = Math.floor(current) + suffix;
                 }
             }, 16);
         });
@@ -1078,15 +5931,17 @@ class UIController {
         const canvas = document.getElementById('taskChart');
         if (!canvas) return;
         
-        const stats = this.taskManager.getStats();
+        // One slice per workflow column, merged by name across projects as on the board
+        const columns = this.kanbanManager.getColumns(this.projectManager.getAllProjects());
+        const tasks = this.taskManager.getAllTasks();
         
         new Chart(canvas, {
             type: 'doughnut',
             data: {
-                labels: ['To Do', 'In Progress', 'Done'],
+                labels: columns.map(c => c.name),
                 datasets: [{
-                    data: [stats.toDo, stats.inProgress, stats.completed],
-                    backgroundColor: ['#f59e0b', '#3b82f6', '#10b981']
+                    data: columns.map(c => this.kanbanManager.getColumnTasks(tasks, c.name).length),
+                    backgroundColor: columns.map((c, index) => c.done ? '#10b981' : TASK_CHART_COLORS[index % TASK_CHART_COLORS.length])
                 }]
             },
             options: {
@@ -1146,7 +6001,8 @@ class UIController {
     // Data Management
     exportData() {
         const data = {
-            projects: this.projectManager.getAllProjects(),
+            version: SCHEMA_VERSION,
+            projects: this.projectManager.projects,
             exportDate: new Date().toISOString()
         };
         
@@ -1173,8 +6029,13 @@ class UIController {
             reader.onload = (event) => {
                 try {
                     const data = JSON.parse(event.target.result);
-                    StorageManager.save('projects', data.projects);
-                    this.projectManager.projects = this.projectManager.loadProjects();
+                    const imported = StorageManager.migrate(data.projects, data.version || 0);
+                    // Nothing in the file changed after it was exported, so newer local edits are kept
+                    const { projects } = ConflictResolver.mergeProjects(this.projectManager.projects, imported, {
+                        base: Date.parse(data.exportDate) || 0,
+                        union: true
+                    });
+                    this.projectManager.replaceProjects(projects, 'merge');
                     this.renderPage(this.currentPage);
                     showToast('Data imported successfully', 'success');
                 } catch (error) {
@@ -1189,37 +6050,270 @@ class UIController {
     }
 
     clearAllData() {
-        showConfirm('Are you sure you want to clear all data? This cannot be undone.', () => {
-            StorageManager.remove('projects');
-            this.projectManager.projects = [];
+        if (!this.authManager.isAdmin()) {
+            showToast('Only administrators can clear all data', 'error');
+            return;
+        }
+        showConfirm('Are you sure you want to clear all data?', () => {
+            if (!this.guard(() => this.historyManager.record('Clear all data', () => this.projectManager.clearAll()))) return;
+            this.renderPage(this.currentPage);
+            showToast('All data cleared', 'success', this.undoAction());
+        });
+    }
+
+    // Toast button for taking back the change just made
+    undoAction() {
+        return { label: 'Undo', handler: () => this.undo() };
+    }
+
+    undo() {
+        let label = null;
+        if (!this.guard(() => { label = this.historyManager.undo(); })) return;
+        this.afterHistoryStep(label ? `Undid: ${label}` : 'Nothing to undo');
+    }
+
+    redo() {
+        let label = null;
+        if (!this.guard(() => { label = this.historyManager.redo(); })) return;
+        this.afterHistoryStep(label ? `Redid: ${label}` : 'Nothing to redo');
+    }
+
+    afterHistoryStep(message) {
+        this.refresh();
+        showToast(message, 'info');
+        announce(message);
+    }
+
+    // A readable version of a conflicting value; list and object fields are summarised
+    formatConflictValue({ field, projectId }, value) {
+        if (value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0)) {
+            return '(empty)';
+        }
+        const project = this.projectManager.findProject(projectId);
+        switch (field) {
+            case 'checklist':
+                return value.map(item => `${item.done ? '☑' : '☐'} ${item.text}`).join(', ');
+            case 'dependsOn':
+                return value.map(id => {
+                    const task = project && project.tasks.find(t => t.id === id);
+                    return task ? task.name : 'a removed task';
+                }).join(', ');
+            case 'members':
+                return value.map(member => {
+                    const user = this.authManager.getUsers().find(u => u.id === member.userId);
+                    return `${user ? user.name : 'Unknown user'} (${member.role})`;
+                }).join(', ');
+            case 'workflow':
+                return value.map(column => column.name).join(' → ');
+            case 'timeEntries':
+                return `${value.length} entr${value.length === 1 ? 'y' : 'ies'}, ${formatDuration(value.reduce((sum, entry) => sum + entry.minutes, 0))}`;
+            case 'recurrence':
+                return Recurrence.describe(value);
+            default:
+                return typeof value === 'object' ? JSON.stringify(value) : String(value);
+        }
+    }
+
+    showConflicts(conflicts) {
+        const rows = conflicts.map((conflict, i) => html`
+            <div class="conflict-row">
+                <div class="conflict-label">${conflict.name} &middot; ${conflict.field}</div>
+                <label><input type="radio" name="conflict-${i}" value="local" checked> Yours: ${this.formatConflictValue(conflict, conflict.local)}</label>
+                <label><input type="radio" name="conflict-${i}" value="remote"> Theirs: ${this.formatConflictValue(conflict, conflict.remote)}</label>
+            </div>
+        `);
+
+        showConfirm(html`<strong>This item was also changed elsewhere. Choose which version to keep:</strong>${rows}`, () => {
+            const choices = conflicts.map((conflict, i) => {
+                const picked = document.querySelector(`input[name="conflict-${i}"]:checked`).value;
+                return { ...conflict, value: picked === 'remote' ? conflict.remote : conflict.local };
+            });
+            this.projectManager.resolveConflicts(choices);
             this.renderPage(this.currentPage);
-            showToast('All data cleared', 'success');
+            showToast('Conflicts resolved', 'success');
+        });
+    }
+
+    async handlePasswordChange() {
+        if (!validateForm('passwordForm')) return;
+
+        const currentPassword = document.getElementById('currentPassword').value;
+        const newPassword = document.getElementById('newPassword').value;
+        if (newPassword !== document.getElementById('confirmNewPassword').value) {
+            showToast('New passwords do not match', 'error');
+            return;
+        }
+
+        try {
+            await this.authManager.changePassword(currentPassword, newPassword);
+            document.getElementById('passwordForm').reset();
+            showToast('Password updated', 'success');
+        } catch (error) {
+            showToast(error.message, 'error');
+        }
+    }
+
+    changeUserRole(userId, role) {
+        try {
+            this.authManager.setRole(userId, role);
+            showToast('Role updated', 'success');
+        } catch (error) {
+            showToast(error.message, 'error');
+        }
+        this.renderPage('settings');
+    }
+
+    deleteUser(userId) {
+        showConfirm('Delete this account? The user will no longer be able to log in.', () => {
+            try {
+                this.authManager.deleteUser(userId);
+                this.projectManager.removeUser(userId);
+                showToast('User deleted', 'success');
+            } catch (error) {
+                showToast(error.message, 'error');
+            }
+            this.renderPage('settings');
         });
     }
 
+    saveServerUrl() {
+        const url = document.getElementById('serverUrl').value;
+        this.syncManager.setServerUrl(url);
+        showToast(url.trim() ? 'Sync server saved' : 'Sync disabled', 'success');
+    }
+
+    setTimelineZoom(zoom) {
+        this.timelineManager.setZoom(zoom);
+        this.renderContent('timeline');
+    }
+
     setupCalendarEvents() {
         // Additional calendar event setup if needed
     }
     
     filterProjects(status) {
         this.projectFilter = status;
+        StorageManager.save('projectFilter', status);
         this.renderPage('projects');
     }
 }
 
 // Utility Functions
+// Time-ordered like the old Date.now() IDs, plus a random suffix so records created
+// within the same millisecond don't collide
+function generateId() {
+    return Date.now().toString() + Math.random().toString(36).slice(2, 8);
+}
+
+// Dates entered in forms are "YYYY-MM-DD" strings. These treat them as local midnights,
+// so date arithmetic always works in whole days.
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseDay(value) {
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+function formatDay(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+function daysBetween(from, to) {
+    return Math.round((to - from) / DAY_MS);
+}
+
+// "2h 30m" for logged and estimated time
+function formatDuration(minutes) {
+    const hours = Math.floor(minutes / 60);
+    const rest = minutes % 60;
+    if (hours === 0) return `${rest}m`;
+    return rest ? `${hours}h ${rest}m` : `${hours}h`;
+}
+
+// "1:05:09" for a running timer
+function formatElapsed(ms) {
+    const seconds = Math.floor(ms / 1000);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${Math.floor(seconds / 3600)}:${pad(Math.floor(seconds / 60) % 60)}:${pad(seconds % 60)}`;
+}
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
 function closeModal(modalId) {
     document.getElementById(modalId).classList.remove('active');
 }
 
-function showToast(message, type = 'info') {
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Markup built by the html tag; only these values skip escaping when nested
+class SafeHtml {
+    constructor(value) {
+        this.value = value;
+    }
+
+    toString() {
+        return this.value;
+    }
+}
+
+// Tagged template that escapes every interpolated value, so user text can never
+// become markup. Nested html templates and arrays of them are inserted as-is.
+function html(strings, ...values) {
+    const render = (value) => {
+        if (value instanceof SafeHtml) return value.value;
+        if (Array.isArray(value)) return value.map(render).join('');
+        if (value === null || value === undefined || value === false) return '';
+        return escapeHtml(value);
+    };
+    return new SafeHtml(strings.reduce((out, str, i) => out + render(values[i - 1]) + str));
+}
+
+// Reads a message out to screen readers through the page's live region
+function announce(message) {
+    const region = document.getElementById('liveRegion');
+    // Cleared first so repeating the same message is announced again
+    region.textContent = '';
+    setTimeout(() => {
+        region.textContent = message;
+    }, 50);
+}
+
+// `action` adds a button, e.g. { label: 'Undo', handler }; such toasts stay up longer
+let toastTimer;
+function showToast(message, type = 'info', action = null) {
     const toast = document.getElementById('toast');
     toast.textContent = message;
     toast.className = `toast ${type} show`;
+    if (action) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'toast-action';
+        button.textContent = action.label;
+        button.addEventListener('click', () => {
+            toast.classList.remove('show');
+            action.handler();
+        });
+        toast.append(button);
+    }
     
-    setTimeout(() => {
+    clearTimeout(toastTimer);
+    toastTimer = setTimeout(() => {
         toast.classList.remove('show');
-    }, 3000);
+    }, action ? 6000 : 3000);
 }
 
 function showConfirm(message, callback, infoOnly = false) {
@@ -1227,7 +6321,11 @@ function showConfirm(message, callback, infoOnly = false) {
     const messageEl = document.getElementById('confirmMessage');
     const confirmBtn = document.getElementById('confirmBtn');
     
-    messageEl.innerHTML = message;
+    if (message instanceof SafeHtml) {
+        messageEl.innerHTML = message;
+    } else {
+        messageEl.textContent = message;
+    }
     modal.classList.add('active');
     
     if (infoOnly) {
@@ -1242,52 +6340,143 @@ function showConfirm(message, callback, infoOnly = false) {
 }
 
 // Login functionality
-const users = [
-    { username: 'admin', password: 'admin123', name: 'Admin User' },
-    { username: 'demo', password: 'demo123', name: 'Demo User' }
-];
+const showApp = (user) => {
+    document.getElementById('loginScreen').style.display = 'none';
+    document.getElementById('appContainer').style.display = 'block';
+    document.getElementById('userName').textContent = user.name;
+};
+
+// Loads the user's own workspace: projects, theme, filters and sync settings.
+// Returns false when the data cannot be opened, leaving the user logged out.
+const startSession = async (user) => {
+    StorageManager.setUser(user.id);
+    showLoader();
+    try {
+        await projectManager.init();
+    } catch (error) {
+        hideLoader();
+        if (!(error instanceof SchemaError)) throw error;
+        // Nothing is loaded, so this version never saves over the newer data
+        authManager.logout();
+        StorageManager.setUser(null);
+        showToast(`${error.message}. Open it with the newer version instead.`, 'error');
+        return false;
+    }
+    templateManager.load();
+    searchManager.rebuild();
+    hideLoader();
+    applyTheme(StorageManager.load('theme') || 'light');
+    showApp(user);
+    uiController.start();
+    syncManager.start();
+    return true;
+};
+
+const endSession = () => {
+    syncManager.stop();
+    timeTracker.unload();
+    historyManager.clear();
+    projectManager.unload();
+    templateManager.unload();
+    searchManager.rebuild();
+    StorageManager.setUser(null);
+    document.getElementById('content').innerHTML = '';
+};
 
-const handleLogin = (e) => {
+const handleLogin = async (e) => {
     e.preventDefault();
     const username = document.getElementById('loginUsername').value;
     const password = document.getElementById('loginPassword').value;
     
-    const user = users.find(u => u.username === username && u.password === password);
+    showLoader();
+    const user = await authManager.login(username, password);
+    hideLoader();
     
     if (user) {
-        localStorage.setItem('currentUser', JSON.stringify(user));
-        document.getElementById('loginScreen').style.display = 'none';
-        document.getElementById('appContainer').style.display = 'block';
-        document.getElementById('userName').textContent = user.name;
-        showToast('Login successful!', 'success');
+        if (await startSession(user)) showToast('Login successful!', 'success');
     } else {
         showToast('Invalid credentials', 'error');
     }
 };
 
-const handleLogout = () => {
-    localStorage.removeItem('currentUser');
+const handleRegister = async (e) => {
+    e.preventDefault();
+    if (!validateForm('registerForm')) return;
+
+    const name = document.getElementById('registerName').value;
+    const username = document.getElementById('registerUsername').value;
+    const password = document.getElementById('registerPassword').value;
+    if (password !== document.getElementById('registerConfirm').value) {
+        showToast('Passwords do not match', 'error');
+        return;
+    }
+
+    showLoader();
+    try {
+        await authManager.createUser(username, password, name, authManager.needsSetup() ? 'admin' : 'member');
+        const user = await authManager.login(username, password);
+        document.getElementById('registerForm').reset();
+        hideLoader();
+        updateAuthForms();
+        if (await startSession(user)) showToast('Account created', 'success');
+    } catch (error) {
+        showToast(error.message, 'error');
+    } finally {
+        hideLoader();
+    }
+};
+
+const toggleAuthForm = (showRegister) => {
+    document.getElementById('loginForm').style.display = showRegister ? 'none' : 'block';
+    document.getElementById('registerForm').style.display = showRegister ? 'block' : 'none';
+};
+
+const showLoginNotice = (message) => {
+    const notice = document.getElementById('loginNotice');
+    notice.hidden = !message;
+    notice.textContent = message || '';
+};
+
+// On first run the only way in is registering, and that first account is the administrator
+const updateAuthForms = () => {
+    const setup = authManager.needsSetup();
+    showLoginNotice(setup ? 'Welcome! Create the administrator account to get started.' : '');
+    document.getElementById('registerHint').hidden = setup;
+    toggleAuthForm(setup);
+};
+
+const handleLogout = (message = 'Logged out successfully') => {
+    authManager.logout();
+    endSession();
     document.getElementById('loginScreen').style.display = 'flex';
     document.getElementById('appContainer').style.display = 'none';
     document.getElementById('loginForm').reset();
-    showToast('Logged out successfully', 'success');
+    toggleAuthForm(false);
+    showToast(message, 'success');
 };
 
-const checkAuth = () => {
-    const user = JSON.parse(localStorage.getItem('currentUser'));
+const checkAuth = async () => {
+    const user = authManager.restoreSession();
     if (user) {
-        document.getElementById('loginScreen').style.display = 'none';
-        document.getElementById('appContainer').style.display = 'block';
-        document.getElementById('userName').textContent = user.name;
+        await startSession(user);
     }
 };
 
 // Initialize Application
-const projectManager = new ProjectManager();
+const authManager = new AuthManager();
+const projectManager = new ProjectManager(authManager);
 const taskManager = new TaskManager(projectManager);
-const kanbanManager = new KanbanManager(taskManager);
+const historyManager = new HistoryManager(projectManager, taskManager);
+const kanbanManager = new KanbanManager(taskManager, historyManager);
 const calendarManager = new CalendarManager(taskManager);
-const uiController = new UIController(projectManager, taskManager, kanbanManager, calendarManager);
+const timelineManager = new TimelineManager(taskManager);
+const timeTracker = new TimeTracker(taskManager);
+const searchManager = new SearchManager(projectManager);
+const templateManager = new TemplateManager(projectManager, taskManager);
+historyManager.wrap(templateManager, ['duplicateProject', 'createFromTemplate']);
+const syncManager = new SyncManager(projectManager);
+const uiController = new UIController(authManager, projectManager, taskManager, historyManager, kanbanManager, calendarManager,
+    timelineManager, timeTracker, searchManager, templateManager, syncManager);
 
 // Auto-save functionality
 let autoSaveTimer;
@@ -1302,12 +6491,24 @@ const autoSave = () => {
 document.addEventListener('keydown', (e) => {
     if (e.ctrlKey && e.key === 'k') {
         e.preventDefault();
-        document.getElementById('searchInput').focus();
+        const searchInput = document.getElementById('searchInput');
+        searchInput.focus();
+        searchInput.select();
     }
     if (e.ctrlKey && e.key === 'n') {
         e.preventDefault();
         uiController.openProjectModal();
     }
+    // Text fields keep their own undo, and nothing is undone behind an open dialog
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z' && !e.target.closest('input, textarea, select') &&
+        !document.querySelector('.modal.active')) {
+        e.preventDefault();
+        if (e.shiftKey) {
+            uiController.redo();
+        } else {
+            uiController.undo();
+        }
+    }
     if (e.key === 'Escape') {
         document.querySelectorAll('.modal.active').forEach(m => m.classList.remove('active'));
         document.getElementById('shortcutsHelp').classList.remove('show');
@@ -1315,9 +6516,9 @@ document.addEventListener('keydown', (e) => {
     if (e.key === '?') {
         document.getElementById('shortcutsHelp').classList.toggle('show');
     }
-    if (e.altKey && e.key >= '1' && e.key <= '6') {
+    if (e.altKey && e.key >= '1' && e.key <= '8') {
         e.preventDefault();
-        const pages = ['dashboard', 'projects', 'tasks', 'kanban', 'calendar', 'settings'];
+        const pages = ['dashboard', 'projects', 'tasks', 'kanban', 'calendar', 'timeline', 'trash', 'settings'];
         const page = pages[parseInt(e.key) - 1];
         uiController.renderPage(page);
         document.querySelectorAll('.nav-item').forEach(i => i.classList.remove('active'));
@@ -1326,38 +6527,26 @@ document.addEventListener('keydown', (e) => {
 });
 
 // Theme management
-const initTheme = () => {
-    const saved = localStorage.getItem('theme') || 'light';
+// The theme is a per-user preference; the login screen uses the light theme.
+const applyTheme = (theme) => {
     const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
-    
+    const resolved = theme === 'auto' ? (prefersDark ? 'dark' : 'light') : theme;
+    document.documentElement.setAttribute('data-theme', resolved);
+    document.querySelectorAll('.theme-btn').forEach(b => b.classList.toggle('active', b.dataset.theme === theme));
+};
+
+const initTheme = () => {
     document.querySelectorAll('.theme-btn').forEach(btn => {
         btn.addEventListener('click', () => {
-            const theme = btn.dataset.theme;
-            document.querySelectorAll('.theme-btn').forEach(b => b.classList.remove('active'));
-            btn.classList.add('active');
-            
-            if (theme === 'auto') {
-                document.documentElement.setAttribute('data-theme', prefersDark ? 'dark' : 'light');
-                localStorage.setItem('theme', 'auto');
-            } else {
-                document.documentElement.setAttribute('data-theme', theme);
-                localStorage.setItem('theme', theme);
-            }
+            StorageManager.save('theme', btn.dataset.theme);
+            applyTheme(btn.dataset.theme);
         });
     });
     
-    if (saved === 'auto') {
-        document.documentElement.setAttribute('data-theme', prefersDark ? 'dark' : 'light');
-        document.querySelector('[data-theme="auto"]').classList.add('active');
-    } else {
-        document.documentElement.setAttribute('data-theme', saved);
-        document.querySelector(`[data-theme="${saved}"]`).classList.add('active');
-    }
+    applyTheme('light');
     
-    window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', (e) => {
-        if (localStorage.getItem('theme') === 'auto') {
-            document.documentElement.setAttribute('data-theme', e.matches ? 'dark' : 'light');
-        }
+    window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', () => {
+        if (StorageManager.load('theme') === 'auto') applyTheme('auto');
     });
 };
 
@@ -1406,19 +6595,41 @@ const validateForm = (formId) => {
 const showLoader = () => document.getElementById('loader').classList.add('show');
 const hideLoader = () => document.getElementById('loader').classList.remove('show');
 
-document.addEventListener('DOMContentLoaded', () => {
-    checkAuth();
+document.addEventListener('DOMContentLoaded', async () => {
+    initTheme();
+    if (!AuthManager.isSupported()) {
+        showLoginNotice('ProjectHub needs a secure connection to protect passwords. Open it over https or from localhost.');
+        document.getElementById('loginForm').style.display = 'none';
+        return;
+    }
+    searchManager.init();
+    uiController.init();
+    kanbanManager.init(uiController);
+    timelineManager.init(uiController);
+    syncManager.init(uiController);
+    await authManager.init();
+    updateAuthForms();
+    await checkAuth();
     
     const loginForm = document.getElementById('loginForm');
     if (loginForm) {
         loginForm.addEventListener('submit', handleLogin);
     }
     
+    const registerForm = document.getElementById('registerForm');
+    if (registerForm) {
+        registerForm.addEventListener('submit', handleRegister);
+    }
+    
     const logoutBtn = document.getElementById('logoutBtn');
     if (logoutBtn) {
-        logoutBtn.addEventListener('click', handleLogout);
+        logoutBtn.addEventListener('click', () => handleLogout());
     }
     
-    initTheme();
-    uiController.init();
+    // Sessions expire even if the tab stays open
+    setInterval(() => {
+        if (authManager.currentUser && !authManager.restoreSession()) {
+            handleLogout('Session expired, please log in again');
+        }
+    }, 60000);
 });
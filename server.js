@@ -0,0 +1,175 @@
+// Reference sync server for ProjectHub Pro.
+// Run with `node server.js`, then enter http://localhost:3000 under Settings > Server Sync.
+// Data is kept in a JSON file; set PORT and DATA_FILE to override the defaults.
+// There is no authentication: any client that can reach it reads and writes every project,
+// so run it for a single user or a trusted network only.
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = process.env.PORT || 3000;
+const DATA_FILE = process.env.DATA_FILE || path.join(__dirname, 'sync-data.json');
+
+const loadData = () => {
+    try {
+        return JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+    } catch (error) {
+        return { projects: [] };
+    }
+};
+
+const data = loadData();
+
+const persist = () => {
+    fs.writeFileSync(DATA_FILE, JSON.stringify(data, null, 2));
+};
+
+const findProject = (id) => data.projects.find(p => p.id === id);
+
+const send = (res, status, body) => {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type'
+    });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        try {
+            resolve(body ? JSON.parse(body) : null);
+        } catch (error) {
+            reject(error);
+        }
+    });
+    req.on('error', reject);
+});
+
+// Append-only lists (activity feeds, comments) are combined entry by entry. Activity
+// feeds keep their newest entries only, as in the app.
+const UNION_FIELDS = ['activity', 'comments'];
+const ACTIVITY_LIMIT = 200;
+
+const unionById = (existing, incoming) => {
+    const byId = new Map([...existing, ...incoming].map(item => [item.id, item]));
+    return [...byId.values()].sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+};
+
+// Keeps, per field, whichever copy changed it last according to its fieldTimes stamps
+const mergeRecord = (existing, incoming) => {
+    const merged = { ...existing };
+    const fieldTimes = { ...existing.fieldTimes };
+
+    Object.keys(incoming).forEach(field => {
+        if (field === 'fieldTimes' || field === 'tasks') return;
+        const incomingTime = (incoming.fieldTimes || {})[field] || 0;
+        if (UNION_FIELDS.includes(field)) {
+            merged[field] = unionById(existing[field] || [], incoming[field] || []);
+            if (field === 'activity') merged[field] = merged[field].slice(-ACTIVITY_LIMIT);
+            fieldTimes[field] = Math.max(fieldTimes[field] || 0, incomingTime);
+        } else if (!(field in existing) || incomingTime >= (fieldTimes[field] || 0)) {
+            merged[field] = incoming[field];
+            if (incomingTime) fieldTimes[field] = incomingTime;
+        }
+    });
+
+    merged.fieldTimes = fieldTimes;
+    merged.revision = Math.max(existing.revision || 0, incoming.revision || 0);
+    return merged;
+};
+
+const upsertTask = (project, incoming) => {
+    const index = project.tasks.findIndex(t => t.id === incoming.id);
+    if (index === -1) {
+        project.tasks.push(incoming);
+        return [201, incoming];
+    }
+    project.tasks[index] = mergeRecord(project.tasks[index], incoming);
+    return [200, project.tasks[index]];
+};
+
+const mergeProjects = (projects) => {
+    projects.forEach(incoming => {
+        const index = data.projects.findIndex(p => p.id === incoming.id);
+        if (index === -1) {
+            data.projects.push({ ...incoming, tasks: incoming.tasks || [] });
+            return;
+        }
+        const project = mergeRecord(data.projects[index], incoming);
+        (incoming.tasks || []).forEach(task => upsertTask(project, { ...task, projectId: project.id }));
+        data.projects[index] = project;
+    });
+};
+
+// Projects from before roles existed have no members and are open to everyone
+const isMember = (project, userId) => !project.members || project.members.length === 0 ||
+    project.members.some(m => m.userId === userId);
+
+const routes = [
+    // `?user=<id>` limits the list to that user's projects. It is chosen by the client, so it
+    // keeps other users' projects off a board rather than away from the client.
+    ['GET', /^\/api\/projects$/, (params, body, query) => {
+        const userId = query.get('user');
+        return [200, userId ? data.projects.filter(p => isMember(p, userId)) : data.projects];
+    }],
+    ['POST', /^\/api\/projects$/, (params, body) => {
+        mergeProjects(body || []);
+        return [200, data.projects];
+    }],
+    ['PUT', /^\/api\/projects\/([^/]+)$/, ([projectId], body) => {
+        const index = data.projects.findIndex(p => p.id === projectId);
+        if (index !== -1) {
+            data.projects[index] = mergeRecord(data.projects[index], { ...body, id: projectId });
+            return [200, data.projects[index]];
+        }
+        const created = { ...body, id: projectId, tasks: [] };
+        data.projects.push(created);
+        return [201, created];
+    }],
+    ['DELETE', /^\/api\/projects\/([^/]+)$/, ([projectId]) => {
+        if (!findProject(projectId)) return [404, { error: 'Project not found' }];
+        data.projects = data.projects.filter(p => p.id !== projectId);
+        return [204];
+    }],
+    ['PUT', /^\/api\/projects\/([^/]+)\/tasks\/([^/]+)$/, ([projectId, taskId], body) => {
+        const project = findProject(projectId);
+        if (!project) return [404, { error: 'Project not found' }];
+        return upsertTask(project, { ...body, id: taskId, projectId });
+    }],
+    ['DELETE', /^\/api\/projects\/([^/]+)\/tasks\/([^/]+)$/, ([projectId, taskId]) => {
+        const project = findProject(projectId);
+        if (!project || !project.tasks.some(t => t.id === taskId)) {
+            return [404, { error: 'Task not found' }];
+        }
+        project.tasks = project.tasks.filter(t => t.id !== taskId);
+        return [204];
+    }]
+];
+
+const server = http.createServer(async (req, res) => {
+    if (req.method === 'OPTIONS') return send(res, 204);
+
+    const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+    for (const [method, pattern, handler] of routes) {
+        const match = pathname.match(pattern);
+        if (req.method !== method || !match) continue;
+
+        try {
+            const body = await readBody(req);
+            const [status, result] = handler(match.slice(1).map(decodeURIComponent), body, searchParams);
+            if (method !== 'GET' && status < 400) persist();
+            return send(res, status, result);
+        } catch (error) {
+            return send(res, 400, { error: 'Invalid JSON body' });
+        }
+    }
+    send(res, 404, { error: 'Not found' });
+});
+
+server.listen(PORT, () => {
+    console.log(`ProjectHub sync server listening on http://localhost:${PORT}`);
+});